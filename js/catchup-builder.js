@@ -0,0 +1,158 @@
+/**
+ * Catchup URL Builder
+ * Builds archive (timeshift) URLs for M3U channels declaring catchup="..." and catchup-source templates.
+ * Supported modes: default, append, shift, flussonic, xc.
+ */
+class CatchupBuilder {
+    /**
+     * Check whether an item can be rewound
+     * @param {Object} item - Parsed playlist item
+     * @returns {boolean}
+     */
+    static isSupported(item) {
+        if (!item || !item.catchup || !item.url) return false;
+        const mode = item.catchup;
+        if (mode === 'default' || mode === 'append') return !!item.catchupSource;
+        return ['shift', 'flussonic', 'flussonic-hls', 'flussonic-ts', 'fs', 'xc'].includes(mode);
+    }
+
+    /**
+     * Build the archive URL for a program
+     * @param {Object} item - Parsed playlist item ({ url, catchup, catchupSource })
+     * @param {number} start - Program start (unix seconds)
+     * @param {number} end - Program end (unix seconds)
+     * @returns {string|null} Archive URL or null when the mode is unsupported
+     */
+    static buildUrl(item, start, end) {
+        if (!this.isSupported(item)) return null;
+
+        const url = item.url;
+        const template = item.catchupSource || '';
+
+        switch (item.catchup) {
+            case 'default':
+                return this.fillTemplate(template, start, end);
+            case 'append':
+                return this.fillTemplate(url + template, start, end);
+            case 'shift':
+                return this.fillTemplate(url + (template || `${url.includes('?') ? '&' : '?'}utc={utc}&lutc={lutc}`), start, end);
+            case 'flussonic':
+            case 'flussonic-hls':
+            case 'flussonic-ts':
+            case 'fs':
+                return this.buildFlussonicUrl(url, start, end);
+            case 'xc':
+                return this.buildXtreamUrl(url, start, end);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Replace {utc}, ${start}, {duration} etc. placeholders
+     * Format specifiers like {utc:Y-m-d H:M:S} and divisors like {duration:60} are supported.
+     */
+    static fillTemplate(template, start, end) {
+        const now = Math.floor(Date.now() / 1000);
+        const duration = end - start;
+
+        const values = {
+            utc: start,
+            start: start,
+            lutc: now,
+            now: now,
+            timestamp: now,
+            utcend: end,
+            end: end,
+            duration: duration,
+            offset: now - start
+        };
+
+        return template.replace(/\$?\{([a-z]+)(?::([^}]*))?\}/gi, (match, name, arg) => {
+            const key = name.toLowerCase();
+
+            // Date parts of the start time: {Y}, {m}, {d}, {H}, {M}, {S}
+            if (!(key in values)) {
+                if (/^[YmdHMS]$/.test(name) && !arg) return this.formatDate(start, name);
+                return match;
+            }
+
+            const value = values[key];
+            if (arg === undefined || arg === '') return String(value);
+
+            // {duration:60} / {offset:60} -> divide
+            if (/^\d+$/.test(arg)) return String(Math.floor(value / parseInt(arg, 10)));
+
+            // {utc:Y-m-d H:M:S} -> format timestamp
+            return this.formatDate(value, arg);
+        });
+    }
+
+    static formatDate(timestamp, format) {
+        const date = new Date(timestamp * 1000);
+        const pad = (n) => String(n).padStart(2, '0');
+        const parts = {
+            Y: date.getFullYear(),
+            m: pad(date.getMonth() + 1),
+            d: pad(date.getDate()),
+            H: pad(date.getHours()),
+            M: pad(date.getMinutes()),
+            S: pad(date.getSeconds())
+        };
+        return format.replace(/[YmdHMS]/g, (c) => parts[c]);
+    }
+
+    // http://host/channel/mpegts?token=x -> http://host/channel/timeshift_abs-{start}.ts?token=x
+    // http://host/channel/index.m3u8?token=x -> http://host/channel/index-{start}-{duration}.m3u8?token=x
+    static buildFlussonicUrl(url, start, end) {
+        const [base, query] = url.split('?');
+        const suffix = query ? `?${query}` : '';
+        const duration = end - start;
+        const lastSlash = base.lastIndexOf('/');
+        const dir = base.substring(0, lastSlash);
+        const file = base.substring(lastSlash + 1);
+
+        if (/mpegts$/i.test(file) || /\.ts$/i.test(file)) {
+            return `${dir}/timeshift_abs-${start}.ts${suffix}`;
+        }
+
+        const name = file.replace(/\.m3u8$/i, '') || 'index';
+        return `${dir}/${name}-${start}-${duration}.m3u8${suffix}`;
+    }
+
+    // http://host/live/user/pass/123.ts or http://host/user/pass/123
+    // -> http://host/timeshift/user/pass/{minutes}/{Y-m-d:H-M}/123.ts
+    static buildXtreamUrl(url, start, end) {
+        const match = url.match(/^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(\.[a-z0-9]+)?(?:\?.*)?$/i);
+        if (!match) return null;
+
+        const [, host, username, password, streamId, ext] = match;
+        const durationMinutes = Math.floor((end - start) / 60);
+        const startFormatted = this.formatDate(start, 'Y-m-d:H-M');
+
+        return `${host}/timeshift/${username}/${password}/${durationMinutes}/${startFormatted}/${streamId}${ext || '.ts'}`;
+    }
+
+    /**
+     * Generate hourly archive slots for channels without guide data
+     * @param {Object} item - Parsed playlist item
+     * @param {number} [slotSeconds=3600]
+     * @returns {Array<{title, start_timestamp, stop_timestamp}>} Newest first
+     */
+    static generateSlots(item, slotSeconds = 3600) {
+        const days = Math.min(Math.max(parseFloat(item.catchupDays) || 1, 1), 7);
+        const now = Math.floor(Date.now() / 1000);
+        const lastSlotEnd = now - (now % slotSeconds);
+        const slots = [];
+
+        for (let end = lastSlotEnd; end > now - days * 86400; end -= slotSeconds) {
+            const start = end - slotSeconds;
+            slots.push({
+                title: `${this.formatDate(start, 'H:M')} - ${this.formatDate(end, 'H:M')}`,
+                start_timestamp: start,
+                stop_timestamp: end
+            });
+        }
+        return slots;
+    }
+}
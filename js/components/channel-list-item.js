@@ -97,18 +97,23 @@ class ChannelListItem {
      * @private
      */
     static _buildBadgesHtml(item) {
-        if (!item.badges || !item.badges.length) {
+        const sourceCount = item.alternates ? item.alternates.length + 1 : 0;
+        if ((!item.badges || !item.badges.length) && !sourceCount) {
             return '';
         }
 
         let badgesHtml = '<div class="channel-badges">';
-        item.badges.forEach(b => {
+        (item.badges || []).forEach(b => {
             if (b === 'CATCHUP') {
                 badgesHtml += '<span class="badge badge-catchup" title="Catchup Available"><i data-lucide="clock" style="width:18px; height:18px;"></i></span>';
             } else {
                 badgesHtml += `<span class="badge">${b}</span>`;
             }
         });
+        // Merged channel: available from several providers
+        if (sourceCount) {
+            badgesHtml += `<span class="badge badge-sources" title="${sourceCount} sources">&times;${sourceCount}</span>`;
+        }
         badgesHtml += '</div>';
 
         return badgesHtml;
@@ -171,6 +171,9 @@ class MediaCard {
             if (typeof state !== 'undefined') {
                 state.focusedItem = { item, type: favoriteType, card };
             }
+            if (typeof detailService !== 'undefined') {
+                detailService.prefetch(item, favoriteType);
+            }
         });
 
         // Click handler
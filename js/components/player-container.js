@@ -48,6 +48,7 @@ class PlayerContainer {
                         </div>
                         <div class="channel-details">
                             <h2 id="nested-channel-name" class="channel-name">Select a Channel</h2>
+                            <div id="nested-source-switcher" class="source-switcher"></div>
                         </div>
                     </div>
                     ${programInfoHtml}
@@ -0,0 +1,157 @@
+/**
+ * M3U Writer
+ * Serializes playlist items back into an #EXTM3U playlist (the counterpart of PlaylistParser).
+ * Keeps tvg-* / group-title / catchup attributes, #EXTVLCOPT headers and #KODIPROP DRM properties,
+ * so exported lists re-import with the same metadata. Works for M3U and Xtream-derived items.
+ */
+
+// Item field -> #EXTINF attribute, in output order
+const M3U_WRITER_ATTRIBUTES = [
+    ['id', 'tvg-id'],
+    ['tvgName', 'tvg-name'],
+    ['logo', 'tvg-logo'],
+    ['chno', 'tvg-chno'],
+    ['tvgShift', 'tvg-shift'],
+    ['language', 'tvg-language'],
+    ['country', 'tvg-country'],
+    ['tvgRec', 'tvg-rec'],
+    ['group', 'group-title'],
+    ['catchup', 'catchup'],
+    ['catchupDays', 'catchup-days'],
+    ['catchupSource', 'catchup-source']
+];
+
+class M3uWriter {
+    /**
+     * Build a playlist
+     * @param {Array<Object>} items - Parsed / aggregated items (shows with seasons are expanded)
+     * @param {Object} [options] - { epgUrls }
+     * @returns {string} #EXTM3U text
+     */
+    static write(items, options = {}) {
+        const lines = [this.buildHeader(options.epgUrls)];
+        const seen = new Set();
+
+        this.flatten(items).forEach(item => {
+            // Series without a direct URL (Xtream) cannot be written; catchup copies duplicate channels.
+            // Portal links only work inside the app (they are resolved per playback).
+            if (!item.url || seen.has(item.url) || StalkerClient.isStalkerUrl(item.url)) return;
+            seen.add(item.url);
+            lines.push(...this.writeItem(item));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    static buildHeader(epgUrls) {
+        if (!epgUrls || epgUrls.length === 0) return '#EXTM3U';
+        return `#EXTM3U url-tvg="${this.escape(epgUrls.join(','))}"`;
+    }
+
+    // Shows folded by PlaylistParser.groupSeries carry their episodes in seasons
+    static flatten(items) {
+        const result = [];
+        (items || []).forEach(item => {
+            if (item.seasons) {
+                Object.keys(item.seasons).forEach(season => result.push(...item.seasons[season]));
+            } else {
+                result.push(item);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Lines for a single entry: #EXTINF, #KODIPROP / #EXTVLCOPT directives, URL
+     * @param {Object} item
+     * @returns {string[]}
+     */
+    static writeItem(item) {
+        const attributes = this.toAttributes(item);
+        const attributeText = Object.keys(attributes)
+            .map(key => ` ${key}="${this.escape(attributes[key])}"`)
+            .join('');
+
+        const duration = typeof item.duration === 'number' ? item.duration : -1;
+        // rawTitle keeps quality tags the name cleaner stripped
+        const title = String(item.rawTitle || item.title || '').replace(/[\r\n]+/g, ' ').trim();
+
+        const lines = [`#EXTINF:${duration}${attributeText},${title}`];
+        lines.push(...this.writeKodiProps(item));
+        lines.push(...this.writeVlcOptions(item));
+        lines.push(item.url);
+        return lines;
+    }
+
+    static toAttributes(item) {
+        const attributes = {};
+        const isXtream = 'epg_id' in item || 'tv_archive' in item;
+
+        M3U_WRITER_ATTRIBUTES.forEach(([field, name]) => {
+            // Xtream ids are stream ids, not guide ids
+            if (field === 'id' && isXtream) return;
+            const value = item[field];
+            if (value !== undefined && value !== null && value !== '') attributes[name] = String(value);
+        });
+
+        if (isXtream) {
+            if (item.epg_id) attributes['tvg-id'] = String(item.epg_id);
+            if (item.tv_archive == 1 && !attributes.catchup) {
+                attributes.catchup = 'xc';
+                if (item.tv_archive_duration) attributes['catchup-days'] = String(item.tv_archive_duration);
+            }
+        }
+
+        if (item.radio) attributes.radio = 'true';
+        return attributes;
+    }
+
+    static writeKodiProps(item) {
+        const lines = [];
+        if (item.manifestType) lines.push(`#KODIPROP:inputstream.adaptive.manifest_type=${item.manifestType}`);
+        if (item.drm && item.drm.type) lines.push(`#KODIPROP:inputstream.adaptive.license_type=${item.drm.type}`);
+        if (item.drm && item.drm.key) lines.push(`#KODIPROP:inputstream.adaptive.license_key=${item.drm.key}`);
+
+        // Headers without a VLC option go into stream_headers
+        const extra = Object.keys(item.headers || {}).filter(name => !this.vlcOptionFor(name));
+        if (extra.length > 0) {
+            const pairs = extra.map(name => `${encodeURIComponent(name)}=${encodeURIComponent(item.headers[name])}`);
+            lines.push(`#KODIPROP:inputstream.adaptive.stream_headers=${pairs.join('&')}`);
+        }
+        return lines;
+    }
+
+    static writeVlcOptions(item) {
+        return Object.keys(item.headers || {})
+            .filter(name => this.vlcOptionFor(name))
+            .map(name => `#EXTVLCOPT:${this.vlcOptionFor(name)}=${item.headers[name]}`);
+    }
+
+    // Reverse of VLC_HEADER_OPTIONS (first option wins, e.g. http-referrer)
+    static vlcOptionFor(header) {
+        const lower = header.toLowerCase();
+        return Object.keys(VLC_HEADER_OPTIONS).find(option => VLC_HEADER_OPTIONS[option].toLowerCase() === lower) || null;
+    }
+
+    // The parser reads attribute values up to the next double quote
+    static escape(value) {
+        return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    }
+
+    /**
+     * Save a playlist as a file download
+     * @param {string} text - Playlist text
+     * @param {string} filename
+     */
+    static download(text, filename) {
+        const blob = new Blob([text], { type: 'audio/x-mpegurl' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -12,11 +12,13 @@ class AppManager {
 
         // Initialize state as early as possible to avoid race conditions with remote sync
         if (window.playlistManager) {
-            playlistManager.init();
+            await playlistManager.init();
         }
         if (window.favoritesManager) {
             favoritesManager.load();
         }
+        // Needs the decrypted resources
+        storageService.migrateWatchProgress();
 
         // License Check
         const okpId = await licenseManager.initializeOkpId();
@@ -53,6 +55,7 @@ class AppManager {
         // Initialize Settings View & Handlers
         if (typeof setupSettings === 'function') setupSettings();
         if (typeof setupFavoritesKeyHandler === 'function') setupFavoritesKeyHandler();
+        if (window.exportManager) exportManager.init();
 
         // Setup UI Helpers
         createToastElement();
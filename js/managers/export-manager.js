@@ -0,0 +1,130 @@
+/**
+ * Export Manager
+ * Exports favorites, a category, search results or a whole resource as an M3U file.
+ */
+
+class ExportManager {
+    init() {
+        document.querySelectorAll('.export-view-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.exportCurrentView(btn.dataset.view));
+        });
+
+        const favoritesBtn = document.getElementById('export-favorites-btn');
+        if (favoritesBtn) {
+            favoritesBtn.addEventListener('click', () => this.exportFavorites());
+        }
+    }
+
+    /**
+     * Write items to a playlist file and start the download
+     * @param {Array<Object>} items
+     * @param {string} name - File name without extension
+     * @returns {boolean} false when there was nothing to export
+     */
+    exportItems(items, name) {
+        const text = M3uWriter.write(items, { epgUrls: this.collectEpgUrls(items) });
+        const count = text.split('\n').filter(line => line.startsWith('#EXTINF')).length;
+
+        if (count === 0) {
+            showToast('alert-circle', 'Nothing to export', 'error');
+            return false;
+        }
+
+        M3uWriter.download(text, `${this.safeFileName(name)}.m3u`);
+        showToast('check', `Exported ${count} entries`, 'success');
+        return true;
+    }
+
+    // Guide URLs of the resources the items come from
+    collectEpgUrls(items) {
+        const ids = new Set(items.map(item => item.resourceId));
+        const urls = [];
+        state.resources.filter(r => ids.has(r.id)).forEach(res => {
+            (res.epgUrls || []).forEach(url => {
+                if (!urls.includes(url)) urls.push(url);
+            });
+        });
+        return urls;
+    }
+
+    safeFileName(name) {
+        return (name || 'playlist').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'playlist';
+    }
+
+    // Search results when a query is active, otherwise the selected category
+    exportCurrentView(viewId) {
+        const query = state.categorySearchQuery[viewId] || '';
+        if (query.length >= 2) {
+            this.exportSearchResults(viewId, query);
+            return;
+        }
+
+        const active = document.querySelector(`#categories-panel-${viewId} .nested-list-item.active`);
+        if (!active) {
+            showToast('info', 'Select a category or search first', 'info');
+            return;
+        }
+        this.exportCategory(viewId, active.dataset.category);
+    }
+
+    exportCategory(viewId, categoryName) {
+        const groups = state.aggregatedData[VIEW_DATA_KEYS[viewId]] || {};
+        this.exportItems(groups[categoryName] || [], categoryName);
+    }
+
+    // Same matching as SearchManager.filterCategories
+    exportSearchResults(viewId, query) {
+        const groups = state.aggregatedData[VIEW_DATA_KEYS[viewId]] || {};
+        const items = [];
+
+        Object.keys(groups).forEach(groupName => {
+            const catMatches = matchSearchQuery(groupName, query);
+            groups[groupName].forEach(item => {
+                if (catMatches || matchSearchQuery(item.title, query)) items.push(item);
+            });
+        });
+
+        this.exportItems(items, `${viewId} - ${query}`);
+    }
+
+    // Favorites only keep a few fields: look the full items up in the catalog
+    exportFavorites() {
+        const data = state.aggregatedData;
+        const items = [];
+
+        [['channels', 'channels'], ['movies', 'movies'], ['series', 'series']].forEach(([favType, dataKey]) => {
+            const all = [].concat(...Object.values(data[dataKey] || {}));
+            favoritesManager.get(favType).forEach(fav => {
+                const found = (fav.key && all.find(item => ContentKey.of(item, favType) === fav.key))
+                    || all.find(item => (fav.url && CredentialVault.maskUrl(item.url) === fav.url) || (fav.id && item.id === fav.id && item.resourceId === fav.resourceId));
+                items.push(found || CredentialVault.resolveItem(fav));
+            });
+        });
+
+        (favoritesManager.get('buckets') || []).forEach(bucket => {
+            const groups = data[bucket.type] || {};
+            items.push(...(groups[bucket.name] || []));
+        });
+
+        this.exportItems(items, 'favorites');
+    }
+
+    async exportResource(res) {
+        const data = res.data || await storageService.getPlaylistFromChunks(res.id);
+        if (!data) {
+            showToast('alert-circle', 'Sync this playlist before exporting', 'error');
+            return;
+        }
+
+        const items = [];
+        ['channels', 'movies', 'series', 'catchup'].forEach(cat => {
+            Object.values(data[cat] || {}).forEach(groupItems => {
+                groupItems.forEach(item => items.push({ ...item, source: res.name, resourceId: res.id }));
+            });
+        });
+
+        this.exportItems(items, res.name);
+    }
+}
+
+window.exportManager = new ExportManager();
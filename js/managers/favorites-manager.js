@@ -19,6 +19,24 @@ class FavoritesManager {
      */
     load() {
         this.favorites = storageService.loadFavorites();
+
+        // Stream URLs are stored with a credential placeholder (older versions kept them in clear),
+        // and the resource by id (older versions only kept its name)
+        let changed = false;
+        ['channels', 'movies', 'series'].forEach(type => {
+            this.favorites[type].forEach(fav => {
+                const url = CredentialVault.maskUrl(fav.url);
+                if (url !== fav.url) {
+                    fav.url = url;
+                    changed = true;
+                }
+                if (!fav.resourceId && legacyResourceId(fav.source)) {
+                    fav.resourceId = legacyResourceId(fav.source);
+                    changed = true;
+                }
+            });
+        });
+        if (changed) this.save();
     }
 
     /**
@@ -47,13 +65,24 @@ class FavoritesManager {
 
     /**
      * Check if an item is in favorites
-     * @param {Object} item - Item with url property
+     * @param {Object} item - Item with url property (stored or playable form)
      * @param {string} type - 'channels', 'movies', or 'series'
      * @returns {boolean}
      */
     isItemFavorite(item, type) {
+        return this.indexOf(item, type) > -1;
+    }
+
+    /**
+     * Position of an item in a favorites list
+     * Matched on the stable content key (survives URL changes), or the URL for entries without one
+     * @returns {number} -1 when not a favorite
+     */
+    indexOf(item, type) {
         const list = this.favorites[type] || [];
-        return list.some(fav => fav.url === item.url);
+        const key = ContentKey.of(item, type);
+        const url = CredentialVault.maskUrl(item.url);
+        return list.findIndex(fav => (key && fav.key === key) || fav.url === url);
     }
 
     /**
@@ -73,10 +102,12 @@ class FavoritesManager {
 
         this.favorites[type].push({
             title: item.title,
-            url: item.url,
+            url: CredentialVault.maskUrl(item.url),
             logo: item.logo || null,
             source: item.source || 'Unknown',
+            resourceId: item.resourceId || null,
             id: item.id || null,
+            key: ContentKey.of(item, type),
             addedAt: Date.now()
         });
 
@@ -93,7 +124,7 @@ class FavoritesManager {
     removeItem(item, type) {
         if (!this.favorites[type]) return false;
 
-        const index = this.favorites[type].findIndex(fav => fav.url === item.url);
+        const index = this.indexOf(item, type);
         if (index > -1) {
             this.favorites[type].splice(index, 1);
             this.save();
@@ -189,7 +220,7 @@ class FavoritesManager {
     }
 
     /**
-     * Migrate old favorites to add missing id fields
+     * Migrate old favorites to add missing id / content key fields and follow URL and name changes
      * @param {Object} aggregatedData - The aggregated data containing movies/series
      */
     migrate(aggregatedData) {
@@ -199,7 +230,7 @@ class FavoritesManager {
         this.favorites.movies.forEach(movie => {
             if (!movie.id && movie.url) {
                 for (const category in aggregatedData.movies) {
-                    const found = aggregatedData.movies[category].find(m => m.url === movie.url);
+                    const found = aggregatedData.movies[category].find(m => CredentialVault.maskUrl(m.url) === movie.url);
                     if (found && found.id) {
                         movie.id = found.id;
                         needsSave = true;
@@ -214,7 +245,7 @@ class FavoritesManager {
         this.favorites.series.forEach(series => {
             if (!series.id && series.url) {
                 for (const category in aggregatedData.series) {
-                    const found = aggregatedData.series[category].find(s => s.url === series.url);
+                    const found = aggregatedData.series[category].find(s => CredentialVault.maskUrl(s.url) === series.url);
                     if (found && found.id) {
                         series.id = found.id;
                         needsSave = true;
@@ -225,6 +256,41 @@ class FavoritesManager {
             }
         });
 
+        // Content keys: add them to older favorites, and follow stream URL changes
+        // (rotated tokens, Xtream output format) of favorites that have one
+        ['channels', 'movies', 'series'].forEach(type => {
+            const favorites = this.favorites[type];
+            if (favorites.length === 0) return;
+
+            const all = [].concat(...Object.values(aggregatedData[type] || {}));
+            const byKey = new Map();
+            const byUrl = new Map();
+            all.forEach(item => {
+                const key = ContentKey.of(item, type);
+                if (key && !byKey.has(key)) byKey.set(key, item);
+                byUrl.set(CredentialVault.maskUrl(item.url), item);
+            });
+
+            favorites.forEach(fav => {
+                const found = (fav.key && byKey.get(fav.key))
+                    || byUrl.get(fav.url)
+                    || (fav.id && all.find(item => item.id === fav.id && item.resourceId === fav.resourceId));
+                if (!found) return;
+
+                const key = ContentKey.of(found, type) || fav.key;
+                const url = CredentialVault.maskUrl(found.url);
+                if (key !== fav.key || url !== fav.url || found.resourceId !== fav.resourceId || found.source !== fav.source) {
+                    fav.key = key;
+                    fav.url = url;
+                    // The display name follows playlist renames
+                    fav.resourceId = found.resourceId;
+                    fav.source = found.source;
+                    needsSave = true;
+                    console.log(`[FavoritesManager] Migrated ${type}:`, fav.title);
+                }
+            });
+        });
+
         if (needsSave) {
             console.log('[FavoritesManager] Migration complete');
             this.save();
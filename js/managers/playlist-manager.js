@@ -2,21 +2,41 @@
  * Playlist Manager
  * Manages playlist resources, syncing, data aggregation, and associated UI.
  */
+
+// URL shown for playlists imported from a file (the content lives in IndexedDB)
+const LOCAL_FILE_URL_PREFIX = 'local://';
+
+// Xtream subscriptions expiring within this many days are flagged
+const ACCOUNT_EXPIRY_WARNING_DAYS = 7;
+
+// Pause between background category fetches of lazy Xtream resources
+const LAZY_WARMUP_DELAY = 1500;
+
 class PlaylistManager {
     constructor() {
-
+        // File picked in the playlist modal, stored on save
+        this.pendingLocalFile = null;
+        // In-flight lazy category fetches by "<resourceId>|<kind>:<categoryId>"
+        this.lazyLoads = new Map();
+        this.warmingUp = false;
+        // Set when a warm-up is requested while one runs (resource added or re-synced meanwhile)
+        this.warmUpAgain = false;
     }
 
-    init() {
-        this.loadResourcesFromStorage();
+    async init() {
+        await this.loadResourcesFromStorage();
 
         this.setupUI();
+        this.setupRulesUI();
+        this.setupDiagnosticsUI();
+
+        this.warnAccountIssues(state.resources);
     }
 
     // --- Resources Data Management ---
 
-    loadResourcesFromStorage() {
-        state.resources = storageService.loadResources();
+    async loadResourcesFromStorage() {
+        state.resources = await storageService.loadResources();
     }
 
     saveResources() {
@@ -43,7 +63,17 @@ class PlaylistManager {
             lastSynced: null,
             data: null,
             type: options.type || 'm3u',
-            credentials: options.credentials || null
+            credentials: options.credentials || null,
+            epgUrls: [],
+            categoryRules: [],
+            proxy: options.proxy || null,
+            mirrors: options.mirrors || [],
+            activeHost: null,
+            localFile: options.localFile || null,
+            streamFormat: options.streamFormat || 'auto',
+            lazyLoad: !!options.lazyLoad,
+            // Account info from the credential check (allowed formats, expiry)
+            account: options.account || null
         };
         state.resources.push(newResource);
         this.saveResources();
@@ -54,6 +84,8 @@ class PlaylistManager {
         state.resources = state.resources.filter(r => r.id !== id);
         this.saveResources();
         storageService.deletePlaylistDataFromDB(id);
+        storageService.deleteVodDetails(id);
+        storageService.deleteLocalFile(id);
     }
 
     toggleResource(id, active) {
@@ -71,19 +103,54 @@ class PlaylistManager {
         const urlChanged = res.url !== url;
         const typeChanged = options.type && res.type !== options.type;
         const credsChanged = options.credentials && JSON.stringify(res.credentials) !== JSON.stringify(options.credentials);
+        const fileReplaced = !!options.localFile;
+        const formatChanged = options.streamFormat !== undefined && options.streamFormat !== (res.streamFormat || 'auto');
+        const lazyChanged = options.lazyLoad !== undefined && options.lazyLoad !== !!res.lazyLoad;
 
         res.name = name;
 
         if (options.type) res.type = options.type;
         if (options.credentials) res.credentials = options.credentials;
+        if (options.proxy !== undefined) res.proxy = options.proxy;
+        if (options.mirrors !== undefined) {
+            res.mirrors = options.mirrors;
+            // Forget a remembered host that is no longer listed
+            if (res.activeHost && !res.mirrors.includes(res.activeHost)) res.activeHost = null;
+        }
+        if (options.streamFormat !== undefined) res.streamFormat = options.streamFormat;
+        if (options.lazyLoad !== undefined) res.lazyLoad = options.lazyLoad;
+
+        if (fileReplaced) {
+            res.localFile = options.localFile;
+        } else if (res.localFile && (urlChanged || typeChanged)) {
+            // Switched away from the imported file
+            res.localFile = null;
+            await storageService.deleteLocalFile(id);
+        }
 
-        if (urlChanged || typeChanged || credsChanged) {
+        if (urlChanged || typeChanged || credsChanged || fileReplaced || lazyChanged) {
             res.url = url;
             res.data = null;
             res.status = 'pending';
             res.stats = { channels: 0, movies: 0, series: 0 };
+            res.epgUrls = [];
+            res.httpCache = null;
+            res.contentHash = null;
+            // Account info from the credential check, if the new login was verified
+            res.account = options.account || null;
+            res.activeHost = null;
+            res.lazyCategories = null;
+            res.loadedCategories = null;
             res.lastSynced = null;
             await storageService.deletePlaylistDataFromDB(id);
+            // Details belong to the account: another server or login may not have the same titles
+            if (urlChanged || typeChanged || credsChanged) await storageService.deleteVodDetails(id);
+        } else if (formatChanged && res.data && res.type === 'xtream') {
+            // Only the live URLs change: no re-sync needed
+            XtreamClient.forResource(res).applyLiveFormat(res.data);
+            this.aggregateData();
+            if (typeof migrateFavoritesWithIds === 'function') migrateFavoritesWithIds();
+            this.renderContentViews();
         }
 
         this.saveResources();
@@ -92,9 +159,9 @@ class PlaylistManager {
 
     // --- Remote Playlist Sync (Server) ---
 
-    syncRemotePlaylist(url) {
+    async syncRemotePlaylist(url) {
         const newRes = apiService.createRemoteResource(url);
-        const resources = storageService.loadResources();
+        const resources = await storageService.loadResources();
         const exists = resources.find(r => r.url === url);
 
         if (!exists) {
@@ -106,14 +173,28 @@ class PlaylistManager {
         }
     }
 
-    syncRemotePlaylistsFromServer(playlistJson) {
-        const result = apiService.processRemotePlaylists(playlistJson, state.resources);
+    async syncRemotePlaylistsFromServer(playlistJson) {
+        // Resources synced from this device come back with encrypted credentials
+        let remote = playlistJson;
+        if (typeof remote === 'string') {
+            try {
+                remote = JSON.parse(remote);
+            } catch (e) {
+                // Reported by processRemotePlaylists
+            }
+        }
+        if (Array.isArray(remote)) await storageService.openCredentials(remote);
+
+        const result = apiService.processRemotePlaylists(remote, state.resources);
         if (result.changed) {
             state.resources = result.resources;
             storageService.saveResources(state.resources);
 
             if (result.deletedIds) {
-                result.deletedIds.forEach(id => storageService.deletePlaylistDataFromDB(id));
+                result.deletedIds.forEach(id => {
+                    storageService.deletePlaylistDataFromDB(id);
+                    storageService.deleteVodDetails(id);
+                });
             }
 
             this.renderResourcesList();
@@ -128,8 +209,19 @@ class PlaylistManager {
         const promises = activeResources.map(async (res) => {
             if (res.data) return;
 
+            // Lazy resources: whatever categories were fetched so far
+            if (this.isLazy(res) && res.lazyCategories) {
+                res.data = await storageService.getPlaylistFromChunks(res.id) || { channels: {}, movies: {}, series: {}, catchup: {} };
+                res.loadedCategories = new Set(await storageService.getChunkIds(res.id));
+                XtreamClient.forResource(res).applyLiveFormat(res.data);
+                res.status = 'synced';
+                return;
+            }
+
             const cachedData = await storageService.getPlaylistFromChunks(res.id);
             if (cachedData) {
+                // Live URLs follow the current format preference / allowed formats
+                if (res.type === 'xtream' && res.credentials) XtreamClient.forResource(res).applyLiveFormat(cachedData);
                 res.data = cachedData;
                 res.status = 'synced';
                 return;
@@ -147,6 +239,7 @@ class PlaylistManager {
         if (typeof migrateFavoritesWithIds === 'function') migrateFavoritesWithIds();
         this.renderContentViews();
         this.renderResourcesList();
+        this.warmUpLazyResources();
     }
 
     aggregateData() {
@@ -159,20 +252,160 @@ class PlaylistManager {
 
         state.resources.filter(r => r.active && r.data).forEach(res => {
             ['channels', 'movies', 'series', 'catchup'].forEach(cat => {
-                const groups = res.data[cat];
+                let groups = res.data[cat];
+
+                // M3U episodes are flat items: fold them into shows with seasons
+                if (cat === 'series' && groups && (!res.type || res.type === 'm3u')) {
+                    groups = PlaylistParser.groupSeries(groups);
+                }
+
                 if (groups) {
                     Object.keys(groups).forEach(groupName => {
                         if (!result[cat][groupName]) {
                             result[cat][groupName] = [];
                         }
-                        const items = groups[groupName].map(item => ({ ...item, source: res.name }));
+                        const items = groups[groupName].map(item => ({ ...item, source: res.name, resourceId: res.id }));
                         result[cat][groupName].push(...items);
                     });
                 }
             });
         });
 
+        // Lazy categories not fetched yet: empty groups, loaded when opened
+        const pending = { channels: {}, movies: {}, series: {}, catchup: {} };
+        state.resources.filter(r => r.active && r.data && this.isLazy(r)).forEach(res => {
+            ['channels', 'movies', 'series'].forEach(kind => {
+                ((res.lazyCategories && res.lazyCategories[kind]) || []).forEach(category => {
+                    if (res.loadedCategories && res.loadedCategories.has(`${kind}:${category.id}`)) return;
+
+                    // Archive channels come from live categories
+                    (kind === 'channels' ? ['channels', 'catchup'] : [kind]).forEach(dataKey => {
+                        if (!result[dataKey][category.name]) result[dataKey][category.name] = [];
+                        if (!pending[dataKey][category.name]) pending[dataKey][category.name] = [];
+                        pending[dataKey][category.name].push({ resourceId: res.id, kind, category });
+                    });
+                });
+            });
+        });
+
+        // The same channel from several providers becomes one row with alternate sources
+        result.channels = ChannelMerger.merge(result.channels);
+
         state.aggregatedData = result;
+        state.lazyCategories = pending;
+    }
+
+    // --- Lazy Xtream Categories ---
+
+    isLazy(res) {
+        return res.type === 'xtream' && !!res.lazyLoad;
+    }
+
+    hasPendingCategories(dataKey, groupName) {
+        const pending = state.lazyCategories[dataKey] || {};
+        return !!(pending[groupName] && pending[groupName].length);
+    }
+
+    /**
+     * Fetch one category of a lazy resource and cache it as its own chunk
+     * Concurrent calls for the same category share one request.
+     */
+    loadLazyCategory(res, kind, category) {
+        const chunkId = `${kind}:${category.id}`;
+        const key = `${res.id}|${chunkId}`;
+        if (this.lazyLoads.has(key)) return this.lazyLoads.get(key);
+
+        const load = (async () => {
+            const items = await XtreamClient.forResource(res).fetchCategory(kind, category);
+            await storageService.savePlaylistChunk(res.id, chunkId, items.map(item => ({
+                ...item, url: CredentialVault.maskUrl(item.url, [res])
+            })));
+
+            res.data = res.data || { channels: {}, movies: {}, series: {}, catchup: {} };
+            res.stats = res.stats || { channels: 0, movies: 0, series: 0, catchup: 0 };
+            items.forEach(item => {
+                const groups = res.data[item.category];
+                if (!groups[item.group]) groups[item.group] = [];
+                groups[item.group].push(item);
+                res.stats[item.category] = (res.stats[item.category] || 0) + 1;
+            });
+
+            res.loadedCategories = res.loadedCategories || new Set();
+            res.loadedCategories.add(chunkId);
+        })();
+
+        this.lazyLoads.set(key, load);
+        return load.finally(() => this.lazyLoads.delete(key));
+    }
+
+    /**
+     * Fetch every pending category behind an aggregated group (one per lazy resource)
+     * @param {string} dataKey - 'channels' | 'movies' | 'series' | 'catchup'
+     * @param {string} groupName
+     */
+    async loadLazyGroup(dataKey, groupName) {
+        const pending = (state.lazyCategories[dataKey] || {})[groupName] || [];
+
+        await Promise.all(pending.map(({ resourceId, kind, category }) => {
+            const res = state.resources.find(r => r.id === resourceId);
+            return res ? this.loadLazyCategory(res, kind, category).catch(e => {
+                console.error(`Loading category ${category.name} of ${res.name} failed`, e);
+            }) : null;
+        }));
+
+        this.aggregateData();
+        this.saveResources();
+    }
+
+    /**
+     * Background warm-up: fetch the remaining lazy categories one at a time
+     * Content views are not re-rendered, only the category counts are refreshed.
+     * A call during a running warm-up is queued: another pass follows the current one.
+     */
+    async warmUpLazyResources() {
+        if (this.warmingUp) {
+            this.warmUpAgain = true;
+            return;
+        }
+        this.warmingUp = true;
+        this.warmUpAgain = false;
+
+        try {
+            for (const res of state.resources.filter(r => r.active && this.isLazy(r) && r.lazyCategories)) {
+                for (const kind of ['channels', 'movies', 'series']) {
+                    for (const category of res.lazyCategories[kind] || []) {
+                        // Stop when the resource is re-syncing or was removed / disabled
+                        if (res.isLoading || !res.active || !state.resources.includes(res)) break;
+                        if (res.loadedCategories && res.loadedCategories.has(`${kind}:${category.id}`)) continue;
+
+                        try {
+                            await this.loadLazyCategory(res, kind, category);
+                        } catch (e) {
+                            console.warn(`Warm-up of ${category.name} failed`, e);
+                        }
+                        await new Promise(resolve => setTimeout(resolve, LAZY_WARMUP_DELAY));
+                    }
+                    this.aggregateData();
+                    this.refreshCategoryCounts();
+                }
+            }
+            this.saveResources();
+        } finally {
+            this.warmingUp = false;
+            if (this.warmUpAgain) this.warmUpLazyResources();
+        }
+    }
+
+    // Update the count badges of rendered category lists in place
+    refreshCategoryCounts() {
+        Object.keys(VIEW_DATA_KEYS).forEach(viewId => {
+            const dataKey = VIEW_DATA_KEYS[viewId];
+            document.querySelectorAll(`#categories-panel-${viewId} .nested-list-item[data-category]`).forEach(btn => {
+                const badge = btn.querySelector('.count-badge');
+                const items = state.aggregatedData[dataKey][btn.dataset.category];
+                if (badge && items) badge.textContent = formatCategoryCount(dataKey, btn.dataset.category);
+            });
+        });
     }
 
     async syncResource(res) {
@@ -195,6 +428,94 @@ class PlaylistManager {
         await apiService.syncResource(res, callbacks);
 
         this.saveResources();
+        this.warnAccountIssues([res]);
+        this.warmUpLazyResources();
+    }
+
+    // --- Xtream Account Status ---
+
+    /**
+     * Problem with a subscription, if any
+     * @param {Object} account - Parsed by XtreamClient.parseAccountInfo
+     * @returns {{level: string, message: string}|null} level is 'error' or 'warning'
+     */
+    getAccountIssue(account) {
+        if (!account) return null;
+
+        // Panels omitting user_info.status report 'Unknown', which is not a problem by itself
+        if (XTREAM_BLOCKED_STATUSES.includes(account.status.toLowerCase())) {
+            return { level: 'error', message: `Account ${account.status.toLowerCase()}` };
+        }
+        if (account.status === 'Expired') return { level: 'error', message: 'Subscription expired' };
+
+        if (account.expDate) {
+            const daysLeft = Math.ceil((account.expDate - Date.now()) / 86400000);
+            if (daysLeft <= 0) return { level: 'error', message: 'Subscription expired' };
+            if (daysLeft <= ACCOUNT_EXPIRY_WARNING_DAYS) {
+                return { level: 'warning', message: `Subscription expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` };
+            }
+        }
+
+        if (account.maxConnections && account.activeConnections >= account.maxConnections) {
+            return { level: 'warning', message: 'All connections in use' };
+        }
+        return null;
+    }
+
+    // Toast for the most urgent account problem among the given resources
+    warnAccountIssues(resources) {
+        const issues = resources
+            .filter(r => r.active && r.type === 'xtream')
+            .map(r => ({ res: r, issue: this.getAccountIssue(r.account) }))
+            .filter(entry => entry.issue);
+
+        if (issues.length === 0) return;
+
+        const { res, issue } = issues.find(entry => entry.issue.level === 'error') || issues[0];
+        showToast('alert-circle', `${res.name}: ${issue.message}`, issue.level === 'error' ? 'error' : 'info');
+    }
+
+    // Account fields come from the provider: set as text, never as HTML
+    renderAccountPanel(res) {
+        const account = res.account;
+        if (res.type !== 'xtream' || !account) return null;
+
+        const issue = this.getAccountIssue(account);
+        const expires = account.expDate ? new Date(account.expDate).toLocaleDateString() : 'Never';
+        const connections = `${account.activeConnections}/${account.maxConnections || '\u221e'}`;
+        const checkedAt = new Date(account.checkedAt);
+        const checked = `${checkedAt.toLocaleDateString()} ${checkedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        const panel = document.createElement('div');
+        panel.className = `resource-account${issue ? ` account-${issue.level}` : ''}`;
+
+        const addField = (text, title = null, extraClass = '') => {
+            const field = document.createElement('span');
+            field.className = `account-field${extraClass ? ` ${extraClass}` : ''}`;
+            if (title) field.title = title;
+            field.textContent = text;
+            panel.appendChild(field);
+            return field;
+        };
+
+        addField(`${account.status}${account.isTrial ? ' (Trial)' : ''}`, null, 'account-status');
+        addField(`Expires: ${expires}`, 'Expiry date');
+        addField(`Connections: ${connections}`, 'Active / maximum connections');
+        if (account.allowedFormats.length) addField(`Formats: ${account.allowedFormats.join(', ')}`, 'Allowed output formats');
+        if (account.timezone) addField(`Timezone: ${account.timezone}`, 'Server timezone');
+        if (issue) {
+            const field = addField(` ${issue.message}`, null, 'account-issue');
+            field.insertAdjacentHTML('afterbegin', '<i data-lucide="alert-circle" style="width:14px; height:14px;"></i>');
+        }
+        addField(`Checked ${checked}`, null, 'account-checked');
+
+        return panel;
+    }
+
+    // Browsers drop the Cookie / User-Agent headers portals check: only the header proxy can send them
+    updateStalkerProxyWarning() {
+        const box = document.getElementById('stalker-proxy-warning');
+        if (box) box.classList.toggle('visible', !appSettings.headerProxyUrl);
     }
 
     cancelSync(res) {
@@ -252,7 +573,10 @@ class PlaylistManager {
             }
 
             const statusClass = res.status === 'synced' ? 'status-synced' : (res.status === 'error' ? 'status-error' : 'status-pending');
-            const typeIcon = res.type === 'xtream' ? 'server' : 'list';
+            const isM3u = !res.type || res.type === 'm3u';
+            const typeIcon = isM3u ? 'list' : 'server';
+            const accountPanel = this.renderAccountPanel(res);
+            if (accountPanel) item.classList.add('has-account');
 
             item.innerHTML = `
                 <div class="resource-info">
@@ -265,13 +589,18 @@ class PlaylistManager {
                     <span class="stat" title="Movies"><i data-lucide="film" style="width:14px; height:14px;"></i> ${(res.stats && res.stats.movies) || 0}</span>
                     <span class="stat" title="Series"><i data-lucide="clapperboard" style="width:14px; height:14px;"></i> ${(res.stats && res.stats.series) || 0}</span>
                     <span class="stat" title="Catchup"><i data-lucide="clock" style="width:14px; height:14px;"></i> ${(res.stats && res.stats.catchup) || 0}</span>
+                    ${(res.epgUrls && res.epgUrls.length) ? `<span class="stat" title="EPG Sources"><i data-lucide="calendar" style="width:14px; height:14px;"></i> ${res.epgUrls.length}</span>` : ''}
                 </div>
                 <div class="resource-actions">
                     <button class="btn btn-icon sync-btn focusable" title="Sync Now"><i data-lucide="refresh-cw"></i></button>
+                    ${isM3u ? '<button class="btn btn-icon rules-btn focusable" title="Categorization Rules"><i data-lucide="list-filter"></i></button>' : ''}
+                    ${isM3u ? '<button class="btn btn-icon diagnostics-btn focusable" title="Sync Diagnostics"><i data-lucide="activity"></i></button>' : ''}
+                    <button class="btn btn-icon export-btn focusable" title="Export as M3U"><i data-lucide="download"></i></button>
                     <button class="btn btn-icon edit-btn focusable" title="Edit"><i data-lucide="pencil"></i></button>
                     <button class="btn btn-icon delete-btn focusable" title="Delete"><i data-lucide="trash-2"></i></button>
                 </div>
             `;
+            if (accountPanel) item.appendChild(accountPanel);
 
             // Sync Button
             item.querySelector('.sync-btn').addEventListener('click', async (e) => {
@@ -284,6 +613,30 @@ class PlaylistManager {
                 showLoading(false);
             });
 
+            // Diagnostics Button
+            const diagnosticsBtn = item.querySelector('.diagnostics-btn');
+            if (diagnosticsBtn) {
+                diagnosticsBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openDiagnosticsModal(res);
+                });
+            }
+
+            // Rules Button
+            const rulesBtn = item.querySelector('.rules-btn');
+            if (rulesBtn) {
+                rulesBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openRulesModal(res);
+                });
+            }
+
+            // Export Button
+            item.querySelector('.export-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                exportManager.exportResource(res);
+            });
+
             // Edit Button
             item.querySelector('.edit-btn').addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -342,6 +695,7 @@ class PlaylistManager {
                 tab.classList.add('active');
                 const targetId = `tab-content-${tab.dataset.tab}`;
                 document.getElementById(targetId).classList.add('active');
+                if (tab.dataset.tab === 'stalker') this.updateStalkerProxyWarning();
             });
         });
 
@@ -368,20 +722,33 @@ class PlaylistManager {
             document.getElementById('xtream-host').value = '';
             document.getElementById('xtream-user').value = '';
             document.getElementById('xtream-pass').value = '';
+            document.getElementById('xtream-stream-format').value = 'auto';
+            document.getElementById('xtream-load-mode').value = 'full';
+            document.getElementById('stalker-portal').value = '';
+            document.getElementById('stalker-mac').value = '';
+            document.getElementById('playlist-proxy-mode').value = '';
+            document.getElementById('playlist-proxy-urls').value = '';
+            document.getElementById('playlist-mirrors').value = '';
             if (fileInput) fileInput.value = '';
+            this.pendingLocalFile = null;
             this.resetModalToAddMode();
         };
 
         if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
 
+        // A stale validation message goes away once the user edits the fields
+        ['xtream-host', 'xtream-user', 'xtream-pass'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.showXtreamError(null));
+        });
+
         if (fileInput) {
             fileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    const objectUrl = URL.createObjectURL(file);
-                    document.getElementById('new-playlist-url').value = objectUrl;
+                    this.pendingLocalFile = file;
+                    document.getElementById('new-playlist-url').value = LOCAL_FILE_URL_PREFIX + file.name;
                     if (!document.getElementById('new-playlist-name').value) {
-                        document.getElementById('new-playlist-name').value = file.name.replace('.m3u', '').replace('.m3u8', '');
+                        document.getElementById('new-playlist-name').value = file.name.replace(/\.gz$/i, '').replace(/\.(m3u8?|pls|xspf|json)$/i, '');
                     }
                 }
             });
@@ -396,28 +763,85 @@ class PlaylistManager {
                 let url = '';
                 let type = 'm3u';
                 let credentials = null;
+                let streamFormat;
+                let lazyLoad;
+                let account;
+
+                // Per-resource proxy override, null = follow the app settings
+                const proxyMode = document.getElementById('playlist-proxy-mode').value;
+                const proxyUrls = ProxyChain.parseList(document.getElementById('playlist-proxy-urls').value);
+                const proxy = (proxyMode || proxyUrls.length) ? { mode: proxyMode, urls: proxyUrls } : null;
+                const mirrors = MirrorHosts.parseList(document.getElementById('playlist-mirrors').value);
 
                 if (activeTab === 'xtream') {
                     const host = document.getElementById('xtream-host').value.trim();
                     const user = document.getElementById('xtream-user').value.trim();
                     const pass = document.getElementById('xtream-pass').value.trim();
 
+                    this.showXtreamError(null);
                     if (!host || !user || !pass) {
-                        alert('Please enter Server URL, Username, and Password');
+                        this.showXtreamError({ code: !host ? 'unreachable' : 'credentials', message: 'Please enter Server URL, Username, and Password' });
                         return;
                     }
 
-                    let safeHost = host;
-                    if (!safeHost.startsWith('http')) {
-                        safeHost = 'http://' + safeHost;
-                    }
-                    if (safeHost.endsWith('/')) {
-                        safeHost = safeHost.slice(0, -1);
+                    let safeHost;
+                    try {
+                        safeHost = XtreamClient.normalizeHost(host);
+                    } catch (e) {
+                        this.showXtreamError({ code: 'unreachable', message: e.message });
+                        return;
                     }
+                    document.getElementById('xtream-host').value = safeHost;
 
                     url = safeHost;
                     type = 'xtream';
                     credentials = { host: safeHost, username: user, password: pass };
+                    streamFormat = document.getElementById('xtream-stream-format').value;
+                    lazyLoad = document.getElementById('xtream-load-mode').value === 'lazy';
+
+                    // Renaming or changing the format of a saved account does not call the panel again
+                    const existing = editId && state.resources.find(r => r.id === editId);
+                    const verified = existing && existing.type === 'xtream' &&
+                        JSON.stringify(existing.credentials) === JSON.stringify(credentials);
+
+                    if (!verified) {
+                        const originalText = saveBtn.textContent;
+                        const originalDisabled = saveBtn.disabled;
+                        saveBtn.textContent = 'Verifying...';
+                        saveBtn.disabled = true;
+
+                        try {
+                            const client = new XtreamClient(safeHost, user, pass, { proxy: ProxyChain.forResource({ proxy }), mirrors });
+                            await client.authenticate();
+                            account = client.account;
+                        } catch (e) {
+                            this.showXtreamError(e);
+                            saveBtn.textContent = originalText;
+                            saveBtn.disabled = originalDisabled;
+                            return;
+                        }
+
+                        saveBtn.textContent = originalText;
+                        saveBtn.disabled = originalDisabled;
+                    }
+
+                } else if (activeTab === 'stalker') {
+                    const portal = document.getElementById('stalker-portal').value.trim();
+                    const mac = document.getElementById('stalker-mac').value.trim().toUpperCase();
+
+                    if (!portal || !mac) {
+                        alert('Please enter Portal URL and MAC Address');
+                        return;
+                    }
+                    if (!StalkerClient.isValidMac(mac)) {
+                        alert('MAC Address must look like 00:1A:79:XX:XX:XX');
+                        return;
+                    }
+
+                    const safePortal = StalkerClient.normalizePortalUrl(portal);
+                    url = safePortal;
+                    type = 'stalker';
+                    credentials = { portal: safePortal, mac };
 
                     const originalText = saveBtn.textContent;
                     const originalDisabled = saveBtn.disabled;
@@ -425,7 +849,7 @@ class PlaylistManager {
                     saveBtn.disabled = true;
 
                     try {
-                        const client = new XtreamClient(safeHost, user, pass);
+                        const client = new StalkerClient(safePortal, mac, { proxy: ProxyChain.forResource({ proxy }) });
                         await client.authenticate();
                     } catch (e) {
                         alert('Authentication Failed: ' + (e.message || 'Unknown Error'));
@@ -450,11 +874,22 @@ class PlaylistManager {
                     return;
                 }
 
+                // The picked file only counts while its name is still in the URL field
+                const file = (activeTab === 'm3u' && this.pendingLocalFile && url === LOCAL_FILE_URL_PREFIX + this.pendingLocalFile.name)
+                    ? this.pendingLocalFile
+                    : null;
+                const localFile = file ? { name: file.name, size: file.size, importedAt: Date.now() } : null;
+
                 if (editId) {
-                    await this.updateResource(editId, name, url, { type, credentials });
+                    if (file && !(await this.storeLocalFile(editId, file))) return;
+                    await this.updateResource(editId, name, url, { type, credentials, proxy, mirrors, localFile, streamFormat, lazyLoad, account });
                     showToast('check', 'Playlist updated successfully', 'success');
                 } else {
-                    this.addResource(name, url, { type, credentials });
+                    const res = this.addResource(name, url, { type, credentials, proxy, mirrors, localFile, streamFormat, lazyLoad, account });
+                    if (file && !(await this.storeLocalFile(res.id, file))) {
+                        this.removeResource(res.id);
+                        return;
+                    }
                     showToast('check', 'Playlist added successfully', 'success');
                 }
 
@@ -464,6 +899,257 @@ class PlaylistManager {
         }
     }
 
+    // Copy an imported file into IndexedDB, false when storing failed
+    async storeLocalFile(resourceId, file) {
+        showLoading(true);
+        try {
+            await storageService.saveLocalFile(resourceId, file);
+            return true;
+        } catch (e) {
+            console.error('Storing playlist file failed', e);
+            alert('Could not store the playlist file: ' + (e.message || 'Storage error'));
+            return false;
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // --- Parse Diagnostics ---
+
+    setupDiagnosticsUI() {
+        const modal = document.getElementById('diagnostics-modal');
+        const closeBtn = document.getElementById('close-diagnostics-btn');
+        if (!modal || !closeBtn) return;
+
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('visible');
+            document.getElementById('diagnostics-content').innerHTML = '';
+        });
+    }
+
+    async openDiagnosticsModal(resource) {
+        const modal = document.getElementById('diagnostics-modal');
+        const content = document.getElementById('diagnostics-content');
+        if (!modal || !content) return;
+
+        document.getElementById('diagnostics-modal-title').textContent = `Sync Diagnostics - ${resource.name}`;
+        content.innerHTML = '<div class="spinner"></div>';
+        modal.classList.add('visible');
+        document.getElementById('close-diagnostics-btn').focus();
+
+        const report = await storageService.getDiagnostics(resource.id);
+        if (!report) {
+            content.innerHTML = '<div class="rules-empty">No diagnostics yet. Sync this playlist to generate a report.</div>';
+            return;
+        }
+
+        content.innerHTML = this.renderDiagnosticsReport(report);
+    }
+
+    renderDiagnosticsReport(report) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const row = (label, value, hasIssues = false) =>
+            `<div class="diagnostics-row ${hasIssues ? 'has-issues' : ''}"><span>${label}</span><span>${value}</span></div>`;
+        const seconds = (ms) => `${((ms || 0) / 1000).toFixed(2)}s`;
+
+        const issue = (label, entry) => {
+            if (!entry) return '';
+            let html = row(label, entry.count, entry.count > 0);
+            if (entry.samples && entry.samples.length > 0) {
+                html += `<div class="diagnostics-samples">${entry.samples.map(escape).join('\n')}</div>`;
+            }
+            return html;
+        };
+
+        const stats = report.stats || {};
+        const timings = report.timings || {};
+        const directives = Object.keys(report.unknownDirectives || {});
+
+        return `
+            <div class="diagnostics-section">
+                <h4>Summary</h4>
+                ${row('Generated', new Date(report.createdAt).toLocaleString())}
+                ${row('Format', (report.format || 'm3u').toUpperCase())}
+                ${row(report.format && report.format !== 'm3u' ? 'Entries read' : 'Lines read', report.lines)}
+                ${row('Channels / Movies / Series / Catchup', `${stats.channels || 0} / ${stats.movies || 0} / ${stats.series || 0} / ${stats.catchup || 0}`)}
+            </div>
+            <div class="diagnostics-section">
+                <h4>Issues</h4>
+                ${issue('Malformed #EXTINF lines', report.malformedExtinf)}
+                ${issue('URLs without metadata', report.urlsWithoutMetadata)}
+                ${issue('Dropped (no title)', report.droppedNoTitle)}
+                ${issue('Dropped (no URL)', report.droppedNoUrl)}
+                ${issue('Duplicate URLs', report.duplicateUrls)}
+                ${row('Unknown directives', directives.length === 0 ? 0 : directives.map(d => `${escape(d)} (${report.unknownDirectives[d]})`).join(', '), directives.length > 0)}
+            </div>
+            <div class="diagnostics-section">
+                <h4>Timings</h4>
+                ${row('Connect', seconds(timings.connect))}
+                ${row('Download', seconds(timings.download))}
+                ${row('Parse', seconds(timings.parse))}
+                ${row('Storage', seconds(timings.storage))}
+                ${row('Total', seconds(timings.total))}
+            </div>
+        `;
+    }
+
+    // --- Categorization Rules ---
+
+    setupRulesUI() {
+        const modal = document.getElementById('rules-modal');
+        if (!modal) return;
+
+        const addBtn = document.getElementById('add-rule-btn');
+        const cancelBtn = document.getElementById('cancel-rules-btn');
+        const saveBtn = document.getElementById('save-rules-btn');
+        const recategorizeBtn = document.getElementById('recategorize-btn');
+
+        const closeModal = () => {
+            modal.classList.remove('visible');
+            document.getElementById('rules-resource-id').value = '';
+            document.getElementById('rules-list').innerHTML = '';
+        };
+
+        const saveRules = () => {
+            const res = state.resources.find(r => r.id === document.getElementById('rules-resource-id').value);
+            if (!res) return null;
+
+            const rules = this.collectRules();
+            if (!rules) return null;
+
+            res.categoryRules = rules;
+            // Force the next sync to re-parse with the new rules
+            res.httpCache = null;
+            res.contentHash = null;
+            this.saveResources();
+            return res;
+        };
+
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                const list = document.getElementById('rules-list');
+                const empty = list.querySelector('.rules-empty');
+                if (empty) empty.remove();
+                const row = this.createRuleRow({ field: 'group', pattern: '', category: 'movies' });
+                list.appendChild(row);
+                row.querySelector('.rule-pattern').focus();
+            });
+        }
+
+        if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                if (!saveRules()) return;
+                showToast('check', 'Rules saved. They apply on next sync.', 'success');
+                closeModal();
+            });
+        }
+
+        if (recategorizeBtn) {
+            recategorizeBtn.addEventListener('click', async () => {
+                const res = saveRules();
+                if (!res) return;
+                closeModal();
+
+                showLoading(true);
+                const done = await apiService.recategorizeResource(res);
+                this.saveResources();
+                this.aggregateData();
+                this.renderContentViews();
+                this.renderResourcesList();
+                showLoading(false);
+
+                if (done) showToast('check', 'Playlist re-categorized', 'success');
+                else showToast('alert-circle', 'Sync the playlist first', 'error');
+            });
+        }
+    }
+
+    openRulesModal(resource) {
+        const modal = document.getElementById('rules-modal');
+        if (!modal) return;
+
+        document.getElementById('rules-resource-id').value = resource.id;
+        document.getElementById('rules-modal-title').textContent = `Categorization Rules - ${resource.name}`;
+
+        const list = document.getElementById('rules-list');
+        list.innerHTML = '';
+
+        const rules = resource.categoryRules || [];
+        if (rules.length === 0) {
+            list.innerHTML = '<div class="rules-empty">No rules yet. Built-in detection is used.</div>';
+        }
+        rules.forEach(rule => list.appendChild(this.createRuleRow(rule)));
+
+        modal.classList.add('visible');
+        if (window.lucide) lucide.createIcons({ root: modal });
+        document.getElementById('add-rule-btn').focus();
+    }
+
+    createRuleRow(rule) {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+
+        const option = (value, label, selected) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`;
+
+        row.innerHTML = `
+            <select class="modal-input focusable rule-field">
+                ${option('group', 'Group', rule.field)}
+                ${option('title', 'Title', rule.field)}
+                ${option('url', 'URL', rule.field)}
+            </select>
+            <input type="text" class="modal-input focusable rule-pattern" placeholder="Regex, e.g. ^VOD|Filme">
+            <select class="modal-input focusable rule-category">
+                ${option('channels', 'Channels', rule.category)}
+                ${option('movies', 'Movies', rule.category)}
+                ${option('series', 'Series', rule.category)}
+            </select>
+            <button class="btn btn-icon focusable rule-up-btn" title="Move Up"><i data-lucide="arrow-up"></i></button>
+            <button class="btn btn-icon focusable rule-down-btn" title="Move Down"><i data-lucide="arrow-down"></i></button>
+            <button class="btn btn-icon focusable rule-delete-btn" title="Delete"><i data-lucide="trash-2"></i></button>
+        `;
+        row.querySelector('.rule-pattern').value = rule.pattern || '';
+
+        row.querySelector('.rule-up-btn').addEventListener('click', () => {
+            if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+        });
+        row.querySelector('.rule-down-btn').addEventListener('click', () => {
+            if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+        });
+        row.querySelector('.rule-delete-btn').addEventListener('click', () => row.remove());
+
+        if (window.lucide) lucide.createIcons({ root: row });
+        return row;
+    }
+
+    // Read rules from the editor, returns null if a pattern is invalid
+    collectRules() {
+        const rules = [];
+        const rows = document.querySelectorAll('#rules-list .rule-row');
+
+        for (const row of rows) {
+            const pattern = row.querySelector('.rule-pattern').value.trim();
+            if (!pattern) continue;
+
+            try {
+                new RegExp(pattern, 'i');
+            } catch (e) {
+                alert(`Invalid pattern: ${pattern}`);
+                row.querySelector('.rule-pattern').focus();
+                return null;
+            }
+
+            rules.push({
+                field: row.querySelector('.rule-field').value,
+                pattern: pattern,
+                category: row.querySelector('.rule-category').value
+            });
+        }
+
+        return rules;
+    }
+
     resetModalToAddMode() {
         const modalTitle = document.getElementById('playlist-modal-title');
         const saveBtn = document.getElementById('save-playlist-btn');
@@ -481,10 +1167,54 @@ class PlaylistManager {
         document.getElementById('xtream-host').value = '';
         document.getElementById('xtream-user').value = '';
         document.getElementById('xtream-pass').value = '';
+        document.getElementById('xtream-stream-format').value = 'auto';
+        document.getElementById('xtream-load-mode').value = 'full';
+        this.showXtreamError(null);
+        document.getElementById('stalker-portal').value = '';
+        document.getElementById('stalker-mac').value = '';
+        document.getElementById('playlist-proxy-mode').value = '';
+        document.getElementById('playlist-proxy-urls').value = '';
+        document.getElementById('playlist-mirrors').value = '';
 
         if (modalTitle) modalTitle.textContent = 'Add New Playlist';
         if (saveBtn) saveBtn.textContent = 'Save';
         if (fileImportGroup) fileImportGroup.style.display = '';
+        this.setFileImportLabel('Select Local File');
+    }
+
+    /**
+     * Inline Xtream validation message; the fields at fault are outlined
+     * @param {Error|Object|null} error - { code, message } (see XtreamClient.authError), null clears it
+     */
+    showXtreamError(error) {
+        const box = document.getElementById('xtream-auth-error');
+        const fields = {
+            host: document.getElementById('xtream-host'),
+            user: document.getElementById('xtream-user'),
+            pass: document.getElementById('xtream-pass')
+        };
+        Object.values(fields).forEach(f => f.classList.remove('invalid'));
+
+        if (!error) {
+            box.textContent = '';
+            box.classList.remove('visible');
+            return;
+        }
+
+        box.textContent = error.message || 'Authentication failed';
+        box.classList.add('visible');
+
+        if (error.code === 'credentials') {
+            fields.user.classList.add('invalid');
+            fields.pass.classList.add('invalid');
+        } else if (error.code === 'unreachable' || error.code === 'invalid_response') {
+            fields.host.classList.add('invalid');
+        }
+    }
+
+    setFileImportLabel(text) {
+        const label = document.querySelector('label[for="local-file-importer"]');
+        if (label) label.textContent = text;
     }
 
     openEditPlaylistModal(resource) {
@@ -494,7 +1224,11 @@ class PlaylistManager {
         const fileImportGroup = document.getElementById('file-import-group');
 
         document.getElementById('edit-playlist-id').value = resource.id;
+        this.showXtreamError(null);
         document.getElementById('new-playlist-name').value = resource.name;
+        document.getElementById('playlist-proxy-mode').value = (resource.proxy && resource.proxy.mode) || '';
+        document.getElementById('playlist-proxy-urls').value = ((resource.proxy && resource.proxy.urls) || []).join(', ');
+        document.getElementById('playlist-mirrors').value = (resource.mirrors || []).join(', ');
 
         const tabs = modal.querySelectorAll('.modal-tab');
         const contents = modal.querySelectorAll('.tab-content');
@@ -508,6 +1242,14 @@ class PlaylistManager {
             document.getElementById('xtream-host').value = (resource.credentials && resource.credentials.host) || '';
             document.getElementById('xtream-user').value = (resource.credentials && resource.credentials.username) || '';
             document.getElementById('xtream-pass').value = (resource.credentials && resource.credentials.password) || '';
+            document.getElementById('xtream-stream-format').value = resource.streamFormat || 'auto';
+            document.getElementById('xtream-load-mode').value = resource.lazyLoad ? 'lazy' : 'full';
+        } else if (resource.type === 'stalker') {
+            tabs[2].classList.add('active');
+            document.getElementById('tab-content-stalker').classList.add('active');
+            document.getElementById('stalker-portal').value = (resource.credentials && resource.credentials.portal) || '';
+            document.getElementById('stalker-mac').value = (resource.credentials && resource.credentials.mac) || '';
+            this.updateStalkerProxyWarning();
         } else {
             tabs[0].classList.add('active');
             document.getElementById('tab-content-m3u').classList.add('active');
@@ -516,7 +1258,9 @@ class PlaylistManager {
 
         if (modalTitle) modalTitle.textContent = 'Edit Playlist';
         if (saveBtn) saveBtn.textContent = 'Update';
-        if (fileImportGroup) fileImportGroup.style.display = 'none';
+        // Any M3U playlist can be switched to (or refreshed from) a local file
+        if (fileImportGroup) fileImportGroup.style.display = '';
+        this.setFileImportLabel(resource.localFile ? 'Replace Local File' : 'Select Local File');
 
         modal.classList.add('visible');
         document.getElementById('new-playlist-name').focus();
@@ -99,6 +99,41 @@ class NameProcessor {
         return { title: finalTitle, badges: [...new Set(badges)] }; // Unique badges
     }
 
+    /**
+     * Detect season/episode markers in a title
+     * Supports "Show S01 E02", "Show S01E02", "Show 1x02" and "Show Season 1 Episode 2" (incl. saison/staffel/temporada).
+     * @param {string} name
+     * @returns {{show: string, season: number, episode: number, episodeTitle: string}|null}
+     */
+    static parseEpisode(name) {
+        if (!name) return null;
+
+        const patterns = [
+            /\bS(\d{1,3})\s*[._-]?\s*E(\d{1,4})\b/i,
+            /\b(\d{1,2})x(\d{1,3})\b/i,
+            /\b(?:season|saison|staffel|temporada|stagione)\s*(\d{1,3})\W*(?:episode|épisode|episodio|folge|ep)\.?\s*(\d{1,4})\b/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = name.match(pattern);
+            if (!match) continue;
+
+            const show = name.substring(0, match.index).replace(/[\s\-:|.,(\[]+$/, '').trim();
+            if (!show) continue;
+
+            const episodeTitle = name.substring(match.index + match[0].length).replace(/^[\s\-:|.,)\]]+/, '').trim();
+
+            return {
+                show: show,
+                season: parseInt(match[1], 10),
+                episode: parseInt(match[2], 10),
+                episodeTitle: episodeTitle
+            };
+        }
+
+        return null;
+    }
+
     static processCategory(name) {
         if (!name) return "Uncategorized";
         let clean = name;
@@ -4,11 +4,81 @@
  * Now supports Streaming for large playlists (100MB+).
  */
 
+// #EXTINF attribute name -> item field
+const EXTINF_ATTRIBUTES = {
+    'tvg-id': 'id',
+    'tvg-name': 'tvgName',
+    'tvg-logo': 'logo',
+    'tvg-chno': 'chno',
+    'tvg-shift': 'tvgShift',
+    'tvg-language': 'language',
+    'tvg-country': 'country',
+    'tvg-rec': 'tvgRec',
+    'group-title': 'group',
+    'radio': 'radio',
+    'catchup': 'catchup',
+    'catchup-type': 'catchup',
+    'catchup-days': 'catchupDays',
+    'catchup-source': 'catchupSource',
+    'timeshift': 'catchupDays'
+};
+
+// #EXTM3U attributes declaring XMLTV guide URLs
+const EPG_HEADER_ATTRIBUTES = ['url-tvg', 'x-tvg-url', 'tvg-url'];
+
+// Wait for the response headers of one attempt (retried, see RetryPolicy); the body download is not limited
+const PLAYLIST_CONNECT_TIMEOUT = 60000;
+
+// User categorization rules: item field matched -> target category
+const RULE_FIELDS = ['group', 'title', 'url'];
+const RULE_CATEGORIES = ['channels', 'movies', 'series'];
+
+// FNV-1a parameters for the playlist content hash
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// Max example lines kept per diagnostics issue
+const DIAGNOSTIC_SAMPLE_LIMIT = 20;
+
+// #EXTVLCOPT option -> HTTP request header
+const VLC_HEADER_OPTIONS = {
+    'http-user-agent': 'User-Agent',
+    'http-referrer': 'Referer',
+    'http-referer': 'Referer',
+    'http-origin': 'Origin',
+    'http-cookie': 'Cookie'
+};
+
 class PlaylistParser {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Array<{field, pattern, category}>} [options.rules] - Ordered user categorization rules
+     */
+    constructor(options = {}) {
+        this.rules = PlaylistParser.compileRules(options.rules);
         this.reset();
     }
 
+    /**
+     * Compile user rules into regexes, skipping invalid patterns
+     * @param {Array<{field: string, pattern: string, category: string}>} rules
+     */
+    static compileRules(rules) {
+        if (!Array.isArray(rules)) return [];
+
+        return rules.reduce((compiled, rule) => {
+            if (!rule || !rule.pattern || !RULE_FIELDS.includes(rule.field) || !RULE_CATEGORIES.includes(rule.category)) {
+                return compiled;
+            }
+            try {
+                compiled.push({ field: rule.field, regex: new RegExp(rule.pattern, 'i'), category: rule.category });
+            } catch (e) {
+                console.warn('Invalid categorization rule skipped:', rule.pattern);
+            }
+            return compiled;
+        }, []);
+    }
+
     reset() {
         this.data = {
             channels: {},
@@ -17,16 +87,26 @@ class PlaylistParser {
         };
     }
 
+    /**
+     * Download and parse a playlist
+     * @param {string} url
+     * @param {Object} callbacks - { onProgress, onBatch, signal, validators, proxy, hosts }
+     *   validators: { etag, lastModified } from the previous sync, sent as If-None-Match / If-Modified-Since
+     *   proxy: { mode, urls } CORS proxy config from ProxyChain.forResource (direct only when omitted)
+     *   hosts: MirrorHosts.hostsOf the resource, the URL's own host is swapped for each in turn
+     * @returns {Promise<Object>} { stats, header, diagnostics, validators, contentHash, activeHost } or { notModified: true, activeHost }
+     *   activeHost: mirror host that answered (null without mirrors)
+     */
     async parseFromUrl(url, callbacks = {}) {
-        const { onProgress, onBatch, signal } = callbacks;
+        const { onProgress, onBatch, signal, validators, proxy, hosts } = callbacks;
 
         const fetchWithTimeout = async (resource, options = {}) => {
-            const { timeout = 300000 } = options;
+            const { timeout = PLAYLIST_CONNECT_TIMEOUT } = options;
             const controller = new AbortController();
             const id = setTimeout(() => controller.abort(), timeout);
 
             if (signal) {
-                signal.addEventListener('abort', () => controller.abort());
+                signal.addEventListener('abort', () => controller.abort(), { once: true });
             }
 
             try {
@@ -42,36 +122,58 @@ class PlaylistParser {
             }
         };
 
-        try {
-            // Try direct fetch
-            let response = await fetchWithTimeout(url);
-            if (!response.ok) throw new Error('Network response was not ok');
-
+        // Gzip playlists (.m3u.gz or gzip bodies without Content-Encoding) are decompressed transparently
+        const parseResponse = async (response) => {
+            let result;
             if (response.body) {
-                return this.parseStream(response.body.getReader(), onProgress, onBatch, signal);
+                const reader = await Gzip.wrapReader(response.body.getReader());
+                result = await this.parseStream(reader, onProgress, onBatch, signal);
             } else {
-                return this.parseText(await response.text(), onProgress, onBatch);
+                const downloadStart = Date.now();
+                const text = await Gzip.responseToText(response);
+                result = this.parseText(text, onProgress, onBatch);
+                result.diagnostics.timings.download = Date.now() - downloadStart;
             }
+            result.diagnostics.timings.connect = connectTime;
+            result.validators = {
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+            return result;
+        };
 
-        } catch (error) {
-            if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
-
-            console.warn('Direct fetch failed, trying proxy...', error);
-            try {
-                const proxyUrl = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
-                const proxyResponse = await fetchWithTimeout(proxyUrl);
-                if (!proxyResponse.ok) throw new Error('Proxy response was not ok');
-
-                if (proxyResponse.body) {
-                    return this.parseStream(proxyResponse.body.getReader(), onProgress, onBatch, signal);
-                }
-                return this.parseText(await proxyResponse.text(), onProgress, onBatch);
-            } catch (proxyError) {
-                if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
-                console.error('Final fetch error:', proxyError);
-                throw proxyError;
-            }
+        const conditionalHeaders = {};
+        if (validators && validators.etag) conditionalHeaders['If-None-Match'] = validators.etag;
+        if (validators && validators.lastModified) conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+        const isConditional = Object.keys(conditionalHeaders).length > 0;
+
+        let connectTime = 0;
+        const connectStart = Date.now();
+
+        // Direct first, then the configured CORS proxies (see ProxyChain)
+        // no-store: the browser cache must not answer our conditional request itself
+        const download = (target) => ProxyChain.fetch(target, proxy, (candidate) => {
+            return fetchWithTimeout(candidate, isConditional ? { headers: conditionalHeaders, cache: 'no-store' } : {});
+        }, signal);
+
+        // Transient failures are retried (RetryPolicy), then each mirror host is tried
+        let activeHost = null;
+        let response;
+        if (hosts && hosts.length > 1) {
+            const origin = new URL(url).origin;
+            response = await MirrorHosts.fetch(hosts, (host) => {
+                activeHost = host;
+                return download(MirrorHosts.swapHost(url, origin, host));
+            }, { signal });
+        } else {
+            response = await RetryPolicy.run(() => download(url), { signal });
         }
+        if (response.status === 304) return { notModified: true, activeHost };
+        connectTime = Date.now() - connectStart;
+
+        const result = await parseResponse(response);
+        result.activeHost = activeHost;
+        return result;
     }
 
     async parseStream(reader, onProgress, onBatch, signal) {
@@ -81,9 +183,19 @@ class PlaylistParser {
         const stats = {
             channels: 0,
             movies: 0,
-            series: 0
+            series: 0,
+            catchup: 0
         };
 
+        // #EXTM3U header metadata
+        const header = { epgUrls: [], attributes: {} };
+
+        const diagnostics = this.createDiagnostics();
+        const { timings } = diagnostics;
+        const startedAt = Date.now();
+        let contentHash = FNV_OFFSET;
+        let contentLength = 0;
+
         // State machine
         let currentItem = {};
 
@@ -91,6 +203,18 @@ class PlaylistParser {
         let currentBatch = [];
         const BATCH_SIZE = 2000;
 
+        const flushBatch = async () => {
+            const storageStart = Date.now();
+            if (onBatch) await onBatch([...currentBatch]);
+            currentBatch = [];
+            const spent = Date.now() - storageStart;
+            timings.storage += spent;
+            return spent;
+        };
+
+        // Decided from the first bytes: M3U streams line by line, PLS / XSPF / JSON are parsed as a whole
+        let format = null;
+
         let lastUpdate = 0;
 
         while (true) {
@@ -99,10 +223,22 @@ class PlaylistParser {
                 throw new DOMException('Aborted', 'AbortError');
             }
 
+            let phaseStart = Date.now();
             const { done, value } = await reader.read();
+            timings.download += Date.now() - phaseStart;
             if (done) break;
 
+            phaseStart = Date.now();
+            contentHash = PlaylistParser.hashBytes(contentHash, value);
+            contentLength += value.length;
             buffer += decoder.decode(value, { stream: true });
+
+            if (!format && buffer.trimStart().length >= SNIFF_MIN_LENGTH) format = PlaylistFormats.sniff(buffer);
+            if (format !== 'm3u') {
+                timings.parse += Date.now() - phaseStart;
+                continue;
+            }
+
             const lines = buffer.split('\n');
             buffer = lines.pop(); // Keep incomplete line
 
@@ -110,17 +246,17 @@ class PlaylistParser {
                 const line = lines[i].trim();
                 if (!line) continue;
 
-                this.processLine(line, currentItem, currentBatch, stats);
+                this.processLine(line, currentItem, currentBatch, stats, header, diagnostics);
                 if (currentItem.url) {
                     currentItem = {}; // Reset
 
                     // Flush Batch if full
                     if (currentBatch.length >= BATCH_SIZE) {
-                        if (onBatch) await onBatch([...currentBatch]);
-                        currentBatch = [];
+                        phaseStart += await flushBatch();
                     }
                 }
             }
+            timings.parse += Date.now() - phaseStart;
 
             // Update UI
             const now = Date.now();
@@ -130,40 +266,75 @@ class PlaylistParser {
             }
         }
 
-        // Process remaining buffer
-        if (buffer.trim()) {
-            this.processLine(buffer.trim(), currentItem, currentBatch, stats);
-            if (currentItem.url && currentBatch.length > 0) {
-                // Final item processed
+        let phaseStart = Date.now();
+        if (!format) format = PlaylistFormats.sniff(buffer);
+        diagnostics.format = format;
+
+        if (format === 'm3u') {
+            // Process remaining buffer (the whole text when the playlist was shorter than the sniff window)
+            for (const line of buffer.split('\n')) {
+                const trimmed = line.trim();
+                if (!trimmed) continue;
+                this.processLine(trimmed, currentItem, currentBatch, stats, header, diagnostics);
+                if (currentItem.url) currentItem = {};
+            }
+        } else {
+            const parsed = PlaylistFormats.parse(format, buffer);
+            header.epgUrls.push(...parsed.epgUrls);
+
+            for (const entry of parsed.entries) {
+                this.addEntry(entry, currentBatch, stats, diagnostics);
+                if (currentBatch.length >= BATCH_SIZE) phaseStart += await flushBatch();
             }
         }
+        timings.parse += Date.now() - phaseStart;
 
         // Final Flush
-        if (currentBatch.length > 0) {
-            if (onBatch) await onBatch([...currentBatch]);
-        }
+        if (currentBatch.length > 0) await flushBatch();
 
         if (onProgress) onProgress(stats);
 
-        // Return only stats, not data
-        return stats;
+        timings.total = Date.now() - startedAt;
+        this.finalizeDiagnostics(diagnostics);
+
+        // Return only stats, header metadata and diagnostics, not data
+        return { stats, header, diagnostics, contentHash: PlaylistParser.formatHash(contentHash, contentLength) };
     }
 
     parseText(text, onProgress, onBatch) {
-        const stats = { channels: 0, movies: 0, series: 0 };
+        const stats = { channels: 0, movies: 0, series: 0, catchup: 0 };
+        const header = { epgUrls: [], attributes: {} };
+        const diagnostics = this.createDiagnostics();
+        const startedAt = Date.now();
         let currentItem = {};
         let currentBatch = [];
         const BATCH_SIZE = 2000;
 
-        const lines = text.split('\n');
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed) continue;
+        const format = PlaylistFormats.sniff(text);
+        diagnostics.format = format;
 
-            this.processLine(trimmed, currentItem, currentBatch, stats);
+        if (format === 'm3u') {
+            const lines = text.split('\n');
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed) continue;
 
-            if (currentItem.url) {
-                currentItem = {};
+                this.processLine(trimmed, currentItem, currentBatch, stats, header, diagnostics);
+
+                if (currentItem.url) {
+                    currentItem = {};
+                    if (currentBatch.length >= BATCH_SIZE) {
+                        if (onBatch) onBatch([...currentBatch]);
+                        currentBatch = [];
+                    }
+                }
+            }
+        } else {
+            const parsed = PlaylistFormats.parse(format, text);
+            header.epgUrls.push(...parsed.epgUrls);
+
+            for (const entry of parsed.entries) {
+                this.addEntry(entry, currentBatch, stats, diagnostics);
                 if (currentBatch.length >= BATCH_SIZE) {
                     if (onBatch) onBatch([...currentBatch]);
                     currentBatch = [];
@@ -176,67 +347,396 @@ class PlaylistParser {
         }
 
         if (onProgress) onProgress(stats);
-        return stats;
+
+        diagnostics.timings.parse = Date.now() - startedAt;
+        diagnostics.timings.total = diagnostics.timings.parse;
+        this.finalizeDiagnostics(diagnostics);
+
+        const contentHash = PlaylistParser.formatHash(PlaylistParser.hashText(FNV_OFFSET, text), text.length);
+        return { stats, header, diagnostics, contentHash };
     }
 
-    processLine(line, currentItem, batchList, stats) {
-        if (line.startsWith('#EXTINF:')) {
+    processLine(line, currentItem, batchList, stats, header, diagnostics) {
+        if (diagnostics) diagnostics.lines++;
+
+        if (line.startsWith('#EXTM3U')) {
+            if (header) this.extractHeader(line, header);
+        } else if (line.startsWith('#EXTINF:')) {
             // Parse Metadata
+            if (diagnostics && line.indexOf(',') === -1) {
+                this.addDiagnostic(diagnostics, 'malformedExtinf', line);
+            }
             Object.assign(currentItem, this.extractMetadata(line));
+        } else if (line.startsWith('#EXTVLCOPT:')) {
+            this.applyVlcOption(line.substring('#EXTVLCOPT:'.length), currentItem);
+        } else if (line.startsWith('#KODIPROP:')) {
+            this.applyKodiProp(line.substring('#KODIPROP:'.length), currentItem);
         } else if (line.startsWith('#')) {
-            // Ignore other directives
+            // Ignore other directives (comments "# ..." are not directives)
+            if (diagnostics && /^#[A-Z]/.test(line)) {
+                const name = line.split(/[:\s]/)[0];
+                diagnostics.unknownDirectives[name] = (diagnostics.unknownDirectives[name] || 0) + 1;
+            }
         } else {
             // It's a URL
             if (currentItem.title) {
                 currentItem.url = line;
-                const cat = this.categorizeItem(currentItem, batchList);
-                if (stats[cat] !== undefined) stats[cat]++;
+                if (diagnostics) {
+                    if (diagnostics.seenUrls.has(line)) this.addDiagnostic(diagnostics, 'duplicateUrls', line);
+                    else diagnostics.seenUrls.add(line);
+                }
+                this.addItem(currentItem, batchList, stats);
+            } else {
+                const hasMetadata = Object.keys(currentItem).length > 0;
+                if (diagnostics) this.addDiagnostic(diagnostics, hasMetadata ? 'droppedNoTitle' : 'urlsWithoutMetadata', line);
+                // Don't leak the dropped entry's metadata into the next item
+                Object.keys(currentItem).forEach(key => delete currentItem[key]);
             }
         }
     }
 
-    // ... extractMetadata remains same ...
+    // --- Content Hash (FNV-1a, 32 bit) ---
+    // Lets a re-sync detect an unchanged playlist when the server sends no ETag/Last-Modified
+
+    static hashBytes(hash, bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, FNV_PRIME);
+        }
+        return hash;
+    }
+
+    static hashText(hash, text) {
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, FNV_PRIME);
+        }
+        return hash;
+    }
+
+    // Length is part of the key to make collisions even less likely
+    static formatHash(hash, length) {
+        return `${(hash >>> 0).toString(16).padStart(8, '0')}-${length}`;
+    }
+
+    // --- Diagnostics ---
+
+    createDiagnostics() {
+        const issue = () => ({ count: 0, samples: [] });
+        return {
+            format: 'm3u',
+            lines: 0,
+            malformedExtinf: issue(),
+            urlsWithoutMetadata: issue(),
+            duplicateUrls: issue(),
+            droppedNoTitle: issue(),
+            droppedNoUrl: issue(),
+            unknownDirectives: {},
+            timings: { connect: 0, download: 0, parse: 0, storage: 0, total: 0 },
+            seenUrls: new Set()
+        };
+    }
+
+    addDiagnostic(diagnostics, key, sample) {
+        const entry = diagnostics[key];
+        entry.count++;
+        if (entry.samples.length < DIAGNOSTIC_SAMPLE_LIMIT) {
+            entry.samples.push(sample.length > 300 ? sample.substring(0, 300) + '...' : sample);
+        }
+    }
+
+    // Drop working state so the report can be stored / posted from the worker
+    finalizeDiagnostics(diagnostics) {
+        delete diagnostics.seenUrls;
+        diagnostics.createdAt = Date.now();
+        return diagnostics;
+    }
+
+    addItem(item, batchList, stats) {
+        const cat = this.categorizeItem(item, batchList);
+        if (stats[cat] !== undefined) stats[cat]++;
+
+        // Channels declaring catchup also land in the Catchup bucket
+        if (cat === 'channels' && typeof CatchupBuilder !== 'undefined' && CatchupBuilder.isSupported(item)) {
+            batchList.push({ ...item, category: 'catchup' });
+            stats.catchup++;
+        }
+    }
+
+    /**
+     * Fold flat M3U series episodes into one entry per show with seasons -> episodes.
+     * Episodes without a detectable S/E marker are kept as they are.
+     * @param {Object} seriesGroups - { groupName: [items] }
+     * @returns {Object} { groupName: [shows and unmatched items] }
+     */
+    static groupSeries(seriesGroups) {
+        const result = {};
+
+        Object.keys(seriesGroups).forEach(groupName => {
+            const shows = new Map();
+            const list = [];
+
+            seriesGroups[groupName].forEach(item => {
+                // Already folded (or Xtream series entries)
+                if (item.isSeries) {
+                    list.push(item);
+                    return;
+                }
+
+                const parsed = NameProcessor.parseEpisode(item.title);
+                if (!parsed) {
+                    list.push(item);
+                    return;
+                }
+
+                const key = parsed.show.toLowerCase().replace(/\s+/g, ' ');
+                let show = shows.get(key);
+                if (!show) {
+                    show = {
+                        title: parsed.show,
+                        rawTitle: parsed.show,
+                        badges: [],
+                        logo: item.logo,
+                        group: groupName,
+                        category: 'series',
+                        id: `m3u:${groupName}:${key}`,
+                        isSeries: true,
+                        seasons: {},
+                        releaseDate: null
+                    };
+                    shows.set(key, show);
+                    list.push(show);
+                }
+
+                if (!show.logo && item.logo) show.logo = item.logo;
+                (item.badges || []).forEach(b => {
+                    if (!show.badges.includes(b)) show.badges.push(b);
+                });
+
+                const season = String(parsed.season);
+                if (!show.seasons[season]) show.seasons[season] = [];
+                show.seasons[season].push({
+                    ...item,
+                    season: parsed.season,
+                    episode_num: parsed.episode,
+                    title: parsed.episodeTitle || `Episode ${parsed.episode}`
+                });
+            });
+
+            shows.forEach(show => {
+                Object.keys(show.seasons).forEach(season => {
+                    show.seasons[season].sort((a, b) => a.episode_num - b.episode_num);
+                });
+            });
+
+            result[groupName] = list;
+        });
+
+        return result;
+    }
+
+    /**
+     * Re-run categorization on already parsed items (no re-download)
+     * @param {Array<Object>} items - Items as stored in IndexedDB chunks
+     * @returns {{items: Array<Object>, stats: Object}}
+     */
+    recategorize(items) {
+        const stats = { channels: 0, movies: 0, series: 0, catchup: 0 };
+        const result = [];
+
+        items.forEach(item => {
+            // Catchup entries are copies of channels, they get regenerated
+            if (item.category === 'catchup') return;
+            this.addItem(item, result, stats);
+        });
+
+        return { items: result, stats };
+    }
+
     extractMetadata(line) {
         const info = {};
 
-        // 1. Title is usually after the last comma
-        const lastCommaIndex = line.lastIndexOf(',');
-        info.title = line.substring(lastCommaIndex + 1).trim();
+        // 1. Duration prefix (#EXTINF:-1 ... or #EXTINF:3600 ...)
+        const durationMatch = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)/);
+        if (durationMatch) info.duration = parseFloat(durationMatch[1]);
 
         // 2. Attributes (key="value")
         const attributePattern = /([a-zA-Z0-9\-]+)="([^"]*)"/g;
         let match;
+        let attributesEnd = 0;
 
         while ((match = attributePattern.exec(line)) !== null) {
             const key = match[1].toLowerCase();
-            const value = match[2];
+            const value = match[2].trim();
+            attributesEnd = attributePattern.lastIndex;
+
+            const field = EXTINF_ATTRIBUTES[key];
+            if (!field || value === '') continue;
 
-            if (key === 'tvg-logo') info.logo = value;
-            else if (key === 'group-title') info.group = value;
-            else if (key === 'tvg-id') info.id = value;
+            if (field === 'radio') info.radio = value.toLowerCase() === 'true' || value === '1';
+            else if (field === 'catchupDays' || field === 'tvgShift') {
+                const num = parseFloat(value);
+                if (!isNaN(num)) info[field] = num;
+            }
+            else if (field === 'catchup') info.catchup = value.toLowerCase();
+            else info[field] = value;
         }
 
+        // 3. Title follows the first comma after the attributes
+        // (attribute values such as catchup-source may contain commas themselves)
+        const titleCommaIndex = line.indexOf(',', attributesEnd);
+        const lastCommaIndex = titleCommaIndex > -1 ? titleCommaIndex : line.lastIndexOf(',');
+        info.title = line.substring(lastCommaIndex + 1).trim();
+        if (!info.title && info.tvgName) info.title = info.tvgName;
+
         if (!info.group) info.group = "Uncategorized";
 
-        // Clean name immediately
+        return this.processTitle(info);
+    }
+
+    // Clean name immediately, keep the original and add CATCHUP / RADIO badges
+    processTitle(info) {
         if (typeof NameProcessor !== 'undefined') {
             const originalTitle = info.title;
             const processed = NameProcessor.process(originalTitle);
             info.title = processed.title;
             info.badges = processed.badges;
             info.rawTitle = originalTitle;
+
+            if (info.catchup && !info.badges.includes('CATCHUP')) info.badges.push('CATCHUP');
+            if (info.radio && !info.badges.includes('RADIO')) info.badges.push('RADIO');
         }
 
         return info;
     }
 
+    /**
+     * Add an entry from a PLS / XSPF / JSON document (see PlaylistFormats)
+     * Produces the same item shape as an #EXTINF entry.
+     */
+    addEntry(entry, batchList, stats, diagnostics) {
+        if (diagnostics) diagnostics.lines++;
+
+        if (!entry.url) {
+            if (diagnostics) this.addDiagnostic(diagnostics, 'droppedNoUrl', entry.title || JSON.stringify(entry));
+            return;
+        }
+        if (diagnostics) {
+            if (diagnostics.seenUrls.has(entry.url)) this.addDiagnostic(diagnostics, 'duplicateUrls', entry.url);
+            else diagnostics.seenUrls.add(entry.url);
+        }
+
+        const item = {};
+        Object.keys(entry).forEach(key => {
+            const value = entry[key];
+            if (key !== 'options' && value !== undefined && value !== null && value !== '') item[key] = value;
+        });
+        item.title = String(item.title);
+        if (item.id !== undefined) item.id = String(item.id);
+        if (item.group !== undefined) item.group = String(item.group);
+        if (item.catchup) item.catchup = String(item.catchup).toLowerCase();
+        if (!item.group) item.group = "Uncategorized";
+
+        this.processTitle(item);
+        (entry.options || []).forEach(option => this.applyVlcOption(option, item));
+
+        this.addItem(item, batchList, stats);
+    }
+
+    // #EXTM3U url-tvg="a.xml.gz,b.xml" x-tvg-url="..." -> header.epgUrls
+    extractHeader(line, header) {
+        const attributePattern = /([a-zA-Z0-9\-]+)="([^"]*)"/g;
+        let match;
+
+        while ((match = attributePattern.exec(line)) !== null) {
+            const key = match[1].toLowerCase();
+            const value = match[2].trim();
+            header.attributes[key] = value;
+
+            if (EPG_HEADER_ATTRIBUTES.includes(key)) {
+                value.split(',').map(u => u.trim()).filter(Boolean).forEach(u => {
+                    if (!header.epgUrls.includes(u)) header.epgUrls.push(u);
+                });
+            }
+        }
+
+        return header;
+    }
+
+    // Split "key=value" directive payloads on the first '='
+    splitOption(option) {
+        const idx = option.indexOf('=');
+        if (idx === -1) return [option.trim().toLowerCase(), ''];
+        return [option.substring(0, idx).trim().toLowerCase(), option.substring(idx + 1).trim()];
+    }
+
+    // #EXTVLCOPT:http-user-agent=..., http-referrer=..., http-origin=...
+    applyVlcOption(option, item) {
+        const [key, value] = this.splitOption(option);
+        if (!value) return;
+
+        const header = VLC_HEADER_OPTIONS[key];
+        if (header) {
+            item.headers = item.headers || {};
+            item.headers[header] = value;
+        }
+    }
+
+    // #KODIPROP:inputstream.adaptive.license_type=clearkey / license_key=kid:key / stream_headers=a=b&c=d
+    applyKodiProp(option, item) {
+        const [key, value] = this.splitOption(option);
+        if (!value) return;
+
+        switch (key) {
+            case 'inputstream.adaptive.license_type':
+                item.drm = item.drm || {};
+                item.drm.type = value.toLowerCase();
+                break;
+            case 'inputstream.adaptive.license_key':
+                item.drm = item.drm || {};
+                item.drm.key = value;
+                break;
+            case 'inputstream.adaptive.manifest_type':
+                item.manifestType = value.toLowerCase();
+                break;
+            case 'inputstream.adaptive.stream_headers':
+            case 'inputstream.adaptive.common_headers':
+                value.split('&').forEach(pair => {
+                    const [name, headerValue] = pair.split('=');
+                    if (!name || headerValue === undefined) return;
+                    item.headers = item.headers || {};
+                    try {
+                        item.headers[decodeURIComponent(name)] = decodeURIComponent(headerValue);
+                    } catch (e) {
+                        item.headers[name] = headerValue;
+                    }
+                });
+                break;
+        }
+    }
+
+    // First matching user rule wins
+    matchRules(item) {
+        for (const rule of this.rules) {
+            const value = rule.field === 'title' ? (item.rawTitle || item.title) : item[rule.field];
+            if (value && rule.regex.test(value)) return rule.category;
+        }
+        return null;
+    }
+
     categorizeItem(item, batchList) {
         const url = (item.url || '').toLowerCase();
         const group = (item.group || '').toLowerCase();
         let mainCategory = 'channels';
 
+        const ruleCategory = this.matchRules(item);
+
+        // 0. User-defined rules for this resource
+        if (ruleCategory) {
+            mainCategory = ruleCategory;
+        }
         // 1. Check URL patterns (common for Xtream-based M3U)
-        if (url.includes('/movie/') || url.includes('/movies/')) {
+        else if (url.includes('/movie/') || url.includes('/movies/')) {
             mainCategory = 'movies';
         } else if (url.includes('/series/')) {
             mainCategory = 'series';
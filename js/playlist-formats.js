@@ -0,0 +1,221 @@
+/**
+ * Playlist Formats
+ * Sniffs and parses non-M3U playlist documents: PLS, XSPF and JSON channel lists.
+ * Parsers return plain entries ({ title, url, logo, group, id, ... }) which PlaylistParser
+ * turns into regular items, so they are categorized and stored exactly like #EXTINF entries.
+ * No DOM APIs are used: this runs inside the parser worker.
+ */
+
+// Minimum text needed before the format is decided
+const SNIFF_MIN_LENGTH = 64;
+
+// JSON property names accepted for each entry field (first match wins)
+const JSON_ENTRY_FIELDS = {
+    url: ['url', 'link', 'stream_url', 'streamUrl', 'stream', 'src', 'file', 'location'],
+    title: ['name', 'title', 'channel', 'channel_name', 'channelName'],
+    logo: ['logo', 'tvg_logo', 'tvgLogo', 'tvg-logo', 'icon', 'image', 'poster', 'cover'],
+    group: ['group', 'group_title', 'groupTitle', 'group-title', 'category', 'genre'],
+    id: ['tvg_id', 'tvgId', 'tvg-id', 'epg_id', 'epgId', 'epg_channel_id'],
+    catchup: ['catchup', 'catchup_type', 'catchupType'],
+    catchupDays: ['catchup_days', 'catchupDays', 'timeshift'],
+    catchupSource: ['catchup_source', 'catchupSource']
+};
+
+// Keys holding entry lists (they do not name a group)
+const JSON_LIST_KEYS = ['channels', 'items', 'streams', 'entries', 'playlist', 'data', 'list', 'groups', 'categories'];
+
+// Top-level keys holding XMLTV guide URLs
+const JSON_EPG_KEYS = ['epg', 'epg_url', 'epgUrl', 'url-tvg', 'tvg-url', 'xmltv'];
+
+class PlaylistFormats {
+    /**
+     * Guess the playlist format from the start of the document
+     * @param {string} text
+     * @returns {'m3u'|'pls'|'xspf'|'json'}
+     */
+    static sniff(text) {
+        const head = (text || '').replace(/^\uFEFF/, '').trimStart().substring(0, 1024);
+
+        if (/^\[playlist\]/i.test(head)) return 'pls';
+        if (head.startsWith('<') && /<playlist[\s>]/i.test(head)) return 'xspf';
+        if (head.startsWith('{') || head.startsWith('[')) return 'json';
+        return 'm3u';
+    }
+
+    /**
+     * Parse a whole document
+     * @param {string} format - 'pls', 'xspf' or 'json'
+     * @param {string} text
+     * @returns {{entries: Array<Object>, epgUrls: string[]}}
+     */
+    static parse(format, text) {
+        text = text.replace(/^\uFEFF/, '');
+        switch (format) {
+            case 'pls': return this.parsePls(text);
+            case 'xspf': return this.parseXspf(text);
+            case 'json': return this.parseJson(text);
+            default: throw new Error(`Unsupported playlist format: ${format}`);
+        }
+    }
+
+    // [playlist] File1=url Title1=name Length1=-1
+    static parsePls(text) {
+        const byIndex = {};
+
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+            if (!match) return;
+
+            const entry = byIndex[match[2]] = byIndex[match[2]] || {};
+            const value = match[3].trim();
+            const key = match[1].toLowerCase();
+
+            if (key === 'file') entry.url = value;
+            else if (key === 'title') entry.title = value;
+            else if (key === 'length' && !isNaN(parseFloat(value))) entry.duration = parseFloat(value);
+        });
+
+        const entries = Object.keys(byIndex)
+            .sort((a, b) => a - b)
+            .map(index => this.withTitle(byIndex[index]));
+
+        return { entries, epgUrls: [] };
+    }
+
+    // <playlist><trackList><track><location/><title/><image/><album/></track></trackList></playlist>
+    static parseXspf(text) {
+        const entries = [];
+        const trackPattern = /<track\b[^>]*>([\s\S]*?)<\/track>/gi;
+        let match;
+
+        while ((match = trackPattern.exec(text)) !== null) {
+            const body = match[1];
+            const tag = (name) => {
+                const found = body.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, 'i'));
+                return found ? this.decodeXml(found[1].trim()) : undefined;
+            };
+
+            const duration = parseFloat(tag('duration'));
+            const options = [];
+            const optionPattern = /<vlc:option>([\s\S]*?)<\/vlc:option>/gi;
+            let option;
+            while ((option = optionPattern.exec(body)) !== null) {
+                options.push(this.decodeXml(option[1].trim()));
+            }
+
+            entries.push(this.withTitle({
+                url: tag('location'),
+                title: tag('title') || tag('creator'),
+                logo: tag('image'),
+                group: tag('album'),
+                // XSPF durations are milliseconds
+                duration: isNaN(duration) ? undefined : duration / 1000,
+                options
+            }));
+        }
+
+        return { entries, epgUrls: [] };
+    }
+
+    /**
+     * Accepted shapes: [entries], { channels: [entries] }, { groups: [{ name, channels: [...] }] }
+     * and { "Group name": [entries] }. Entries use the JSON_ENTRY_FIELDS names.
+     */
+    static parseJson(text) {
+        const data = JSON.parse(text);
+        const entries = [];
+        const epgUrls = [];
+
+        if (data && !Array.isArray(data)) {
+            JSON_EPG_KEYS.forEach(key => {
+                const value = data[key];
+                const urls = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+                urls.map(u => String(u).trim()).filter(Boolean).forEach(u => {
+                    if (!epgUrls.includes(u)) epgUrls.push(u);
+                });
+            });
+        }
+
+        const visit = (node, group) => {
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, group));
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            if (typeof this.pick(node, JSON_ENTRY_FIELDS.url) === 'string') {
+                entries.push(this.jsonEntry(node, group));
+                return;
+            }
+
+            // Container: a named group object or a map of group name -> entries
+            // (the document's own name is not a group)
+            const name = node === data ? undefined : this.pick(node, JSON_ENTRY_FIELDS.title);
+            Object.keys(node).forEach(key => {
+                const value = node[key];
+                if (!value || typeof value !== 'object') return;
+                if (JSON_LIST_KEYS.includes(key)) visit(value, typeof name === 'string' ? name : group);
+                else if (Array.isArray(value)) visit(value, key);
+            });
+        };
+
+        visit(data, undefined);
+        return { entries, epgUrls };
+    }
+
+    static jsonEntry(node, group) {
+        const entry = {};
+        Object.keys(JSON_ENTRY_FIELDS).forEach(field => {
+            const value = this.pick(node, JSON_ENTRY_FIELDS[field]);
+            if (value !== undefined && value !== null && typeof value !== 'object') entry[field] = value;
+        });
+
+        if (!entry.group && group) entry.group = group;
+        if (entry.catchupDays !== undefined) entry.catchupDays = parseFloat(entry.catchupDays) || undefined;
+        if (node.radio !== undefined) entry.radio = node.radio === true || node.radio === 'true' || node.radio === 1;
+
+        const headers = {};
+        if (node.headers && typeof node.headers === 'object') Object.assign(headers, node.headers);
+        const userAgent = this.pick(node, ['user_agent', 'userAgent', 'user-agent']);
+        const referrer = this.pick(node, ['referrer', 'referer', 'http_referrer']);
+        if (userAgent) headers['User-Agent'] = userAgent;
+        if (referrer) headers['Referer'] = referrer;
+        if (Object.keys(headers).length > 0) entry.headers = headers;
+
+        return this.withTitle(entry);
+    }
+
+    static pick(node, keys) {
+        for (const key of keys) {
+            if (node[key] !== undefined && node[key] !== null && node[key] !== '') return node[key];
+        }
+        return undefined;
+    }
+
+    // Untitled entries are named after the stream file (or host)
+    static withTitle(entry) {
+        if (entry.title !== undefined) entry.title = String(entry.title).trim();
+        if (entry.title || !entry.url) return entry;
+
+        const path = String(entry.url).split(/[?#]/)[0].replace(/\/+$/, '');
+        const last = path.substring(path.lastIndexOf('/') + 1);
+        try {
+            entry.title = decodeURIComponent(last) || new URL(entry.url).hostname;
+        } catch (e) {
+            entry.title = last || entry.url;
+        }
+        return entry;
+    }
+
+    static decodeXml(text) {
+        return text
+            .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
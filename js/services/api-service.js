@@ -3,9 +3,10 @@
  * Manages generic API calls, Stream Checking, and Playlist Syncing.
  */
 
+const PARSER_WORKER_URL = 'js/workers/parser-worker.js';
+
 class ApiService {
     constructor() {
-        this.parser = new PlaylistParser();
     }
 
     // NOTE: Weather API functionality moved to js/services/weather-service.js
@@ -16,7 +17,8 @@ class ApiService {
         if (!okpId) return;
 
         try {
-            const payload = resources.map(r => ({
+            // Credentials leave the device encrypted (only this device can open them again)
+            const payload = await Promise.all(resources.map(async r => ({
                 id: r.id,
                 name: r.name,
                 url: r.url,
@@ -24,8 +26,8 @@ class ApiService {
                 stats: r.stats,
                 lastSynced: r.lastSynced,
                 type: r.type || 'm3u',
-                credentials: r.credentials || null
-            }));
+                ...(await window.storageService.sealCredentials(r))
+            })));
 
             const res = await fetch('http://localhost:3000/api/device/sync', {
                 method: 'POST',
@@ -94,18 +96,21 @@ class ApiService {
         // Merge logic
         remoteResources.forEach(remote => {
             const exists = localResources.find(l => (l.id === remote.id) || (l.url === remote.url && l.name === remote.name));
+            // Credentials sealed by another install (or a reset one) cannot be opened here
+            const sealed = !!remote.encryptedCredentials && !remote.credentials;
 
             if (!exists) {
+                // Sealed ones stay disabled until the user re-enters the credentials
                 localResources.push({
                     ...remote,
-                    active: true,
-                    status: 'pending',
+                    active: !sealed,
+                    status: sealed ? 'disabled' : 'pending',
                     stats: { channels: 0, movies: 0, series: 0, catchup: 0 },
                     lastSynced: null,
                     isLoading: false
                 });
                 changed = true;
-            } else {
+            } else if (!sealed) {
                 if (exists.url !== remote.url || JSON.stringify(exists.credentials) !== JSON.stringify(remote.credentials)) {
                     exists.url = remote.url;
                     exists.credentials = remote.credentials;
@@ -164,11 +169,34 @@ class ApiService {
             await window.storageService.deletePlaylistDataFromDB(tempId);
 
             let stats;
-
-            if (res.type === 'xtream' && res.credentials) {
-                // Xtream
-                const client = new XtreamClient(res.credentials.host, res.credentials.username, res.credentials.password, res.name);
-                const result = await client.fetchAll(res.abortController.signal);
+            let epgUrls = [];
+            let diagnostics = null;
+
+            if ((res.type === 'xtream' || res.type === 'stalker') && res.credentials) {
+                // Xtream / Stalker portal
+                let result;
+                if (res.type === 'stalker') {
+                    result = await StalkerClient.forResource(res).fetchAll(res.abortController.signal, (s) => {
+                        if (onStatusUpdate) onStatusUpdate(res.id, s);
+                    });
+                } else {
+                    const client = XtreamClient.forResource(res);
+                    // Account status is informative only: a failure here must not block the sync
+                    try {
+                        res.account = await client.getAccountInfo(res.abortController.signal);
+                    } catch (e) {
+                        if (e.name === 'AbortError') throw e;
+                        console.warn(`Account info unavailable for ${res.name}`, e);
+                    }
+                    if (res.lazyLoad) {
+                        // Lazy mode: categories only, streams are loaded per category on demand
+                        res.lazyCategories = await client.fetchCategoryLists(res.abortController.signal);
+                        result = { data: {}, stats: { channels: 0, movies: 0, series: 0, catchup: 0 } };
+                    } else {
+                        result = await client.fetchAll(res.abortController.signal);
+                    }
+                    epgUrls = [client.getXmltvUrl()];
+                }
                 stats = result.stats;
 
                 if (onStatusUpdate) onStatusUpdate(res.id, stats);
@@ -178,9 +206,10 @@ class ApiService {
                 ['channels', 'movies', 'series', 'catchup'].forEach(cat => {
                     if (result.data[cat]) {
                         Object.keys(result.data[cat]).forEach(group => {
+                            // Copy: catchup entries share objects with their channel entries
+                            // Stored URLs hold a credential placeholder, resolved when loaded back
                             result.data[cat][group].forEach(item => {
-                                item.category = cat;
-                                items.push(item);
+                                items.push({ ...item, url: CredentialVault.maskUrl(item.url, [res]), category: cat });
                             });
                         });
                     }
@@ -195,9 +224,23 @@ class ApiService {
 
             } else {
                 // M3U
+                // Conditional request only makes sense when the previous chunks are still there
+                const hasCache = await window.storageService.hasPlaylistChunks(res.id);
+
+                // Imported files are re-read from their stored copy
+                let sourceUrl = res.url;
+                if (res.localFile) {
+                    const file = await window.storageService.getLocalFile(res.id);
+                    if (!file) throw new Error('Stored playlist file is missing');
+                    sourceUrl = URL.createObjectURL(file);
+                }
+
                 let chunkCounter = 0;
-                stats = await this.parser.parseFromUrl(res.url, {
+                const result = await this.parsePlaylist(sourceUrl, {
                     signal: res.abortController.signal,
+                    validators: hasCache ? res.httpCache : null,
+                    proxy: ProxyChain.forResource(res),
+                    hosts: MirrorHosts.hostsOf(res),
                     onProgress: (s) => {
                         res.currentProgress = s;
                         if (onStatusUpdate) onStatusUpdate(res.id, s);
@@ -205,7 +248,29 @@ class ApiService {
                     onBatch: async (batch) => {
                         await window.storageService.savePlaylistChunk(tempId, chunkCounter++, batch);
                     }
+                }, res.categoryRules).finally(() => {
+                    if (sourceUrl !== res.url) URL.revokeObjectURL(sourceUrl);
                 });
+                if (result.activeHost) MirrorHosts.remember(res, result.activeHost);
+
+                // 304 or identical content: keep existing chunks, only bump lastSynced
+                // The content hash is only known after the full download and parse, when the batches
+                // already sit in temp chunks: it only saves the commit and the view refresh
+                if (result.notModified || (hasCache && result.contentHash && result.contentHash === res.contentHash)) {
+                    console.log(`${res.name} unchanged, keeping cached data`);
+                    await window.storageService.deletePlaylistDataFromDB(tempId);
+                    if (result.validators) res.httpCache = result.validators;
+                    if (!res.data) res.data = await window.storageService.getPlaylistFromChunks(res.id);
+                    res.lastSynced = Date.now();
+                    res.status = 'synced';
+                    return res.status;
+                }
+
+                res.httpCache = result.validators || null;
+                res.contentHash = result.contentHash || null;
+                stats = result.stats;
+                epgUrls = result.header.epgUrls;
+                diagnostics = result.diagnostics;
             }
 
             console.log(`Sync success. Committing ${res.name}...`);
@@ -213,10 +278,16 @@ class ApiService {
             // Commit
             await window.storageService.deletePlaylistDataFromDB(res.id);
             await window.storageService.movePlaylistChunks(tempId, res.id);
+            if (diagnostics) await window.storageService.saveDiagnostics(res.id, { ...diagnostics, stats });
 
-            // Load new data
+            // Load new data (lazy resources start empty, categories fill it in)
             res.data = await window.storageService.getPlaylistFromChunks(res.id);
+            if (res.lazyLoad) {
+                res.data = res.data || { channels: {}, movies: {}, series: {}, catchup: {} };
+                res.loadedCategories = new Set();
+            }
             res.stats = stats;
+            res.epgUrls = epgUrls;
             res.lastSynced = Date.now();
             res.status = 'synced';
 
@@ -240,6 +311,111 @@ class ApiService {
         return res.status;
     }
 
+    // Re-apply the resource's categorization rules to its stored chunks (no re-download)
+    async recategorizeResource(res) {
+        const data = await window.storageService.getPlaylistFromChunks(res.id);
+        if (!data) return false;
+
+        const items = [];
+        Object.keys(data).forEach(cat => {
+            Object.keys(data[cat]).forEach(group => items.push(...data[cat][group]));
+        });
+
+        const parser = new PlaylistParser({ rules: res.categoryRules });
+        const result = parser.recategorize(items);
+
+        const tempId = `temp_${res.id}`;
+        await window.storageService.deletePlaylistDataFromDB(tempId);
+        const diagnostics = await window.storageService.getDiagnostics(res.id);
+
+        const chunkSize = 2000;
+        for (let i = 0; i < result.items.length; i += chunkSize) {
+            const chunk = result.items.slice(i, i + chunkSize).map(item => ({ ...item, url: CredentialVault.maskUrl(item.url, [res]) }));
+            await window.storageService.savePlaylistChunk(tempId, Math.floor(i / chunkSize), chunk);
+        }
+
+        await window.storageService.deletePlaylistDataFromDB(res.id);
+        await window.storageService.movePlaylistChunks(tempId, res.id);
+        if (diagnostics) await window.storageService.saveDiagnostics(res.id, { ...diagnostics, stats: result.stats });
+
+        res.data = await window.storageService.getPlaylistFromChunks(res.id);
+        res.stats = result.stats;
+        return true;
+    }
+
+    // Parse an M3U playlist in a Web Worker so the UI (remote navigation) stays responsive.
+    // Falls back to the in-thread parser when workers are unavailable.
+    // callbacks: { signal, onProgress, onBatch, validators, proxy, hosts } - same contract as PlaylistParser.parseFromUrl
+    // rules: resource categorization rules
+    parsePlaylist(url, callbacks = {}, rules = []) {
+        const { signal, onProgress, onBatch, validators, proxy, hosts } = callbacks;
+        const parseOnMainThread = () => new PlaylistParser({ rules }).parseFromUrl(url, callbacks);
+
+        let worker;
+        try {
+            worker = new Worker(PARSER_WORKER_URL);
+        } catch (e) {
+            console.warn('Parser worker unavailable, parsing on main thread', e);
+            return parseOnMainThread();
+        }
+
+        return new Promise((resolve, reject) => {
+            const finish = (fn, value) => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+                fn(value);
+            };
+
+            const onAbort = () => finish(reject, new DOMException('Aborted', 'AbortError'));
+
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort);
+            }
+
+            let started = false;
+
+            worker.onmessage = async (e) => {
+                const msg = e.data;
+                started = true;
+                switch (msg.type) {
+                    case 'progress':
+                        if (onProgress) onProgress(msg.stats);
+                        break;
+                    case 'batch':
+                        try {
+                            if (onBatch) await onBatch(msg.items);
+                            if (!signal || !signal.aborted) worker.postMessage({ type: 'batch-ack', batchId: msg.batchId });
+                        } catch (err) {
+                            finish(reject, err);
+                        }
+                        break;
+                    case 'done':
+                        finish(resolve, msg.result);
+                        break;
+                    case 'error': {
+                        const err = msg.name === 'AbortError' ? new DOMException('Aborted', 'AbortError') : new Error(msg.message);
+                        finish(reject, err);
+                        break;
+                    }
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                // Worker script could not load (e.g. file:// restrictions): parse here instead
+                if (!started) {
+                    console.warn('Parser worker failed to start, parsing on main thread', e.message);
+                    finish(resolve, parseOnMainThread());
+                    return;
+                }
+                finish(reject, new Error(e.message || 'Parser worker failed'));
+            };
+
+            worker.postMessage({ type: 'parse', url, rules, validators, proxy, hosts });
+        });
+    }
+
     cancelSync(res, onRender) {
         if (res.abortController) {
             res.abortController.abort();
@@ -0,0 +1,81 @@
+/**
+ * Detail Service
+ * Xtream movie and series details (get_vod_info / get_series_info) cached in IndexedDB.
+ * Cached details are returned right away; entries older than DETAIL_TTL are refreshed in the
+ * background for the next open (stale-while-revalidate). Titles opened before stay available
+ * when the provider is unreachable.
+ */
+
+const DETAIL_TTL = 12 * 60 * 60 * 1000;
+// Focus must rest on a card this long before its details are prefetched
+const DETAIL_PREFETCH_DELAY = 800;
+
+class DetailService {
+    constructor() {
+        // Requests in flight by cache key, shared by prefetch and the detail panel
+        this.requests = new Map();
+        this.prefetchTimer = null;
+    }
+
+    /**
+     * Details of a movie or show
+     * @param {Object} resource - Xtream resource
+     * @param {string} type - 'movies' | 'series'
+     * @param {string|number} id - vod_id / series_id
+     * @returns {Promise<Object>} Provider response
+     * @throws When the title is not cached and the provider fails
+     */
+    async get(resource, type, id) {
+        const cached = await storageService.getVodDetail(resource.id, `${type}:${id}`);
+        if (!cached) return this.fetch(resource, type, id);
+
+        if (Date.now() - cached.fetchedAt > DETAIL_TTL) {
+            this.fetch(resource, type, id).catch(e => console.warn(`[DetailService] Refresh of ${type}:${id} failed`, e));
+        }
+        return cached.data;
+    }
+
+    fetch(resource, type, id) {
+        const detailId = `${type}:${id}`;
+        const key = `${resource.id}|${detailId}`;
+        if (this.requests.has(key)) return this.requests.get(key);
+
+        const client = XtreamClient.forResource(resource);
+        const request = (type === 'series' ? client.getSeriesInfo(id) : client.getVodInfo(id))
+            .then(async data => {
+                // Unknown ids answer with an empty list: nothing worth keeping
+                if (data && !Array.isArray(data)) {
+                    await storageService.saveVodDetail(resource.id, detailId, data);
+                }
+                return data;
+            })
+            .finally(() => this.requests.delete(key));
+
+        this.requests.set(key, request);
+        return request;
+    }
+
+    /**
+     * Fetch the details of a focused card ahead of the click (setting "Prefetch Details")
+     * Only the card focus rests on is fetched, titles cached and fresh are skipped.
+     * @param {Object} item - Movie or series item
+     * @param {string} type - 'movies' | 'series'
+     */
+    prefetch(item, type) {
+        clearTimeout(this.prefetchTimer);
+        if (!appSettings.prefetchDetails || (type !== 'movies' && type !== 'series')) return;
+
+        const resource = findResource(item);
+        if (!resource || resource.type !== 'xtream' || !resource.credentials || !item.id) return;
+
+        this.prefetchTimer = setTimeout(async () => {
+            const cached = await storageService.getVodDetail(resource.id, `${type}:${item.id}`);
+            if (cached && Date.now() - cached.fetchedAt <= DETAIL_TTL) return;
+
+            this.fetch(resource, type, item.id).catch(e => console.warn(`[DetailService] Prefetch of ${item.title} failed`, e));
+        }, DETAIL_PREFETCH_DELAY);
+    }
+}
+
+// Export singleton
+window.detailService = new DetailService();
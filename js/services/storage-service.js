@@ -6,9 +6,14 @@
 class StorageService {
     constructor() {
         this.DB_NAME = 'WatchNowDB';
-        this.DB_VERSION = 2;
+        this.DB_VERSION = 5;
         this.STORE_NAME = 'playlists';
         this.CHUNK_STORE_NAME = 'playlist_chunks';
+        this.DIAGNOSTICS_STORE_NAME = 'playlist_diagnostics';
+        this.FILE_STORE_NAME = 'playlist_files';
+        this.DETAIL_STORE_NAME = 'vod_details';
+        // Local playlist files are stored in slices of this size
+        this.FILE_CHUNK_SIZE = 1024 * 1024;
     }
 
     // --- App Settings ---
@@ -35,18 +40,29 @@ class StorageService {
 
     // --- Resources (Storage Only) ---
 
-    loadResources() {
+    /**
+     * Load resources with their credentials decrypted
+     * Resources whose credentials cannot be decrypted (device id changed) are disabled.
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadResources() {
         const stored = localStorage.getItem('watchnow_resources');
         if (stored) {
             const resources = JSON.parse(stored);
+            const plaintext = resources.some(r => r.credentials || CredentialVault.urlLogin(r));
+            await this.openCredentials(resources);
             // Reset non-persistent state
             resources.forEach(r => {
                 r.isLoading = false;
                 r.stats = r.stats || { channels: 0, movies: 0, series: 0, catchup: 0 };
                 r.lastSynced = r.lastSynced || null;
+                r.epgUrls = (r.epgUrls || []).map(url => CredentialVault.resolveUrl(url, [r]));
+                r.categoryRules = r.categoryRules || [];
                 r.status = r.active ? 'queued' : 'disabled';
                 r.abortController = null; // Ensure this is clear
             });
+            // Older versions stored credentials (and M3U panel logins) in clear: encrypt them right away
+            if (plaintext) this.saveResources(resources);
             return resources;
         } else {
             // Migration
@@ -71,8 +87,13 @@ class StorageService {
         return [];
     }
 
+    /**
+     * Persist resources; credentials are encrypted first
+     * Writes are queued so a slow encryption never lets an older list overwrite a newer one.
+     * @returns {Promise<void>}
+     */
     saveResources(resources) {
-        localStorage.setItem('watchnow_resources', JSON.stringify(resources.map(r => ({
+        const snapshot = resources.map(r => ({
             id: r.id,
             name: r.name,
             url: r.url,
@@ -80,8 +101,172 @@ class StorageService {
             stats: r.stats,
             lastSynced: r.lastSynced,
             type: r.type || 'm3u',
-            credentials: r.credentials || null
-        }))));
+            credentials: r.credentials || null,
+            encryptedCredentials: r.encryptedCredentials || null,
+            // Xtream guide URLs carry the login in their query string
+            epgUrls: (r.epgUrls || []).map(url => CredentialVault.maskUrl(url, [r])),
+            categoryRules: r.categoryRules || [],
+            httpCache: r.httpCache || null,
+            contentHash: r.contentHash || null,
+            proxy: r.proxy || null,
+            mirrors: r.mirrors || [],
+            activeHost: r.activeHost || null,
+            localFile: r.localFile || null,
+            account: r.account || null,
+            streamFormat: r.streamFormat || 'auto',
+            lazyLoad: !!r.lazyLoad,
+            lazyCategories: r.lazyCategories || null
+        }));
+
+        this.resourceWrites = (this.resourceWrites || Promise.resolve())
+            .then(() => Promise.all(snapshot.map(async r => ({ ...r, ...(await this.sealCredentials(r)) }))))
+            .then(sealed => localStorage.setItem('watchnow_resources', JSON.stringify(sealed)))
+            .catch(e => console.error("Failed to save resources", e));
+        return this.resourceWrites;
+    }
+
+    /**
+     * Credential fields of a resource as they may be stored or sent
+     * The login in an M3U panel link (get.php?username=…&password=…) is sealed the same way, its URL masked.
+     * @returns {Promise<{url: string, credentials: Object|null, encryptedCredentials: Object|null}>}
+     */
+    async sealCredentials(r) {
+        const urlLogin = CredentialVault.urlLogin(r);
+        const maskedUrl = urlLogin ? CredentialVault.maskUrl(r.url, [r]) : r.url;
+        const credentials = r.credentials || (maskedUrl !== r.url ? urlLogin : null);
+
+        if (!credentials) {
+            // Undecryptable credentials are kept as they are
+            return { url: r.url, credentials: null, encryptedCredentials: r.encryptedCredentials || null };
+        }
+
+        const encrypted = await CredentialVault.encrypt(credentials);
+        if (!encrypted) {
+            console.warn("WebCrypto unavailable, credentials are stored unencrypted");
+            return { url: r.url, credentials: r.credentials || null, encryptedCredentials: null };
+        }
+        return { url: maskedUrl, credentials: null, encryptedCredentials: encrypted };
+    }
+
+    /**
+     * Decrypt `encryptedCredentials` into `credentials` (in place)
+     * M3U resources get the login back into their URL instead.
+     * @param {Array<Object>} resources
+     */
+    async openCredentials(resources) {
+        await Promise.all(resources.map(async r => {
+            if (!r.encryptedCredentials || r.credentials) return;
+            try {
+                r.credentials = await CredentialVault.decrypt(r.encryptedCredentials);
+                r.encryptedCredentials = null;
+                if (r.type !== 'xtream' && r.type !== 'stalker') {
+                    r.url = CredentialVault.resolveUrl(r.url, [r]);
+                    r.credentials = null;
+                }
+            } catch (e) {
+                console.error(`Cannot decrypt credentials of ${r.name}, re-enter them to use it`, e);
+                r.active = false;
+            }
+        }));
+    }
+
+    // --- Watch Progress ---
+    // Entries are keyed by ContentKey (stream URLs change between syncs), older ones by URL
+
+    loadWatchProgress() {
+        try {
+            return JSON.parse(localStorage.getItem('watchnow_watch_progress') || '{}');
+        } catch (e) {
+            console.error("Failed to load watch progress", e);
+            return {};
+        }
+    }
+
+    /**
+     * Progress of an item
+     * @param {Object} item - Catalog or playback item (see ContentKey.of)
+     * @param {string} type
+     * @returns {Object|null} { time, duration, lastWatched, ... }
+     */
+    getWatchProgress(item, type) {
+        const progress = this.loadWatchProgress();
+        const key = ContentKey.of(item, type);
+        return (key && progress[key]) || progress[CredentialVault.maskUrl(item.url)] || null;
+    }
+
+    /**
+     * Record the playback position of an item
+     * Stored without credentials in the URLs; the full item is kept for card reconstruction.
+     */
+    saveWatchProgress(item, type, time, duration) {
+        try {
+            const progress = this.loadWatchProgress();
+            const url = CredentialVault.maskUrl(item.url);
+            const key = ContentKey.of(item, type) || url;
+
+            if (key !== url) delete progress[url];
+            progress[key] = {
+                key: key,
+                url: url,
+                title: item.title,
+                logo: item.logo || null,
+                season: item.season || null,
+                episode: item.episode || null,
+                item: CredentialVault.maskItem(item),
+                type: type,
+                time: time,
+                duration: duration,
+                lastWatched: Date.now()
+            };
+
+            localStorage.setItem('watchnow_watch_progress', JSON.stringify(progress));
+        } catch (e) {
+            console.error("Failed to save watch progress", e);
+        }
+    }
+
+    /**
+     * Move stored progress to content keys and mask credentials in it
+     * Older versions keyed entries by their full stream URL and named the resource instead of
+     * giving its id. Needs the decrypted resources.
+     */
+    migrateWatchProgress() {
+        const progress = this.loadWatchProgress();
+        const migrated = {};
+        let changed = false;
+
+        Object.keys(progress).forEach(oldKey => {
+            const entry = progress[oldKey];
+            const url = CredentialVault.maskUrl(entry.url);
+            const updated = { ...entry, url };
+            if (entry.item) {
+                updated.item = this.withResourceId(CredentialVault.maskItem(entry.item));
+                // vod-view playback metadata
+                if (updated.item.item) updated.item.item = this.withResourceId(updated.item.item);
+            }
+            const key = ContentKey.of(updated.item || updated, entry.type) || CredentialVault.maskUrl(oldKey);
+            updated.key = key;
+
+            if (key !== oldKey || JSON.stringify(updated) !== JSON.stringify(entry)) changed = true;
+            // Two entries of the same content: keep the latest
+            if (!migrated[key] || (updated.lastWatched || 0) > (migrated[key].lastWatched || 0)) {
+                migrated[key] = updated;
+            }
+        });
+
+        if (changed) {
+            try {
+                localStorage.setItem('watchnow_watch_progress', JSON.stringify(migrated));
+            } catch (e) {
+                console.error("Failed to migrate watch progress", e);
+            }
+        }
+    }
+
+    // Copy of a stored item with the id of the resource it names
+    withResourceId(item) {
+        if (item.resourceId || !legacyResourceId(item.source)) return item;
+        return { ...item, resourceId: legacyResourceId(item.source) };
     }
 
     // --- Favorites ---
@@ -146,6 +331,17 @@ class StorageService {
                     const store = db.createObjectStore(this.CHUNK_STORE_NAME, { keyPath: ['resourceId', 'chunkId'] });
                     store.createIndex('resourceId', 'resourceId', { unique: false });
                 }
+                if (!db.objectStoreNames.contains(this.DIAGNOSTICS_STORE_NAME)) {
+                    db.createObjectStore(this.DIAGNOSTICS_STORE_NAME, { keyPath: 'resourceId' });
+                }
+                if (!db.objectStoreNames.contains(this.FILE_STORE_NAME)) {
+                    const store = db.createObjectStore(this.FILE_STORE_NAME, { keyPath: ['resourceId', 'chunkId'] });
+                    store.createIndex('resourceId', 'resourceId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.DETAIL_STORE_NAME)) {
+                    const store = db.createObjectStore(this.DETAIL_STORE_NAME, { keyPath: ['resourceId', 'detailId'] });
+                    store.createIndex('resourceId', 'resourceId', { unique: false });
+                }
             };
         });
     }
@@ -183,6 +379,7 @@ class StorageService {
 
                     chunks.forEach(chunk => {
                         chunk.items.forEach(item => {
+                            if (CredentialVault.isMasked(item.url)) item.url = CredentialVault.resolveUrl(item.url);
                             const cat = item.category || 'channels';
                             const group = item.group || 'Uncategorized';
                             if (!result[cat]) result[cat] = {}; // Safety
@@ -201,6 +398,199 @@ class StorageService {
         });
     }
 
+    hasPlaylistChunks(resourceId) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.CHUNK_STORE_NAME], 'readonly');
+                const index = transaction.objectStore(this.CHUNK_STORE_NAME).index('resourceId');
+                const request = index.count(IDBKeyRange.only(resourceId));
+                request.onsuccess = () => resolve(request.result > 0);
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => {
+            console.error("IndexedDB Chunk Count Failed", e);
+            return false;
+        });
+    }
+
+    // Chunk ids stored for a resource (lazy Xtream resources use one "<kind>:<categoryId>" chunk per category)
+    getChunkIds(resourceId) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.CHUNK_STORE_NAME], 'readonly');
+                const index = transaction.objectStore(this.CHUNK_STORE_NAME).index('resourceId');
+                const request = index.getAllKeys(IDBKeyRange.only(resourceId));
+                request.onsuccess = () => resolve((request.result || []).map(key => key[1]));
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => {
+            console.error("IndexedDB Chunk Keys Failed", e);
+            return [];
+        });
+    }
+
+    // --- Parse Diagnostics (one report per resource) ---
+
+    saveDiagnostics(resourceId, report) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.DIAGNOSTICS_STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(this.DIAGNOSTICS_STORE_NAME);
+                const request = store.put({ resourceId, report });
+                request.onsuccess = () => resolve();
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => console.error("IndexedDB Diagnostics Save Failed", e));
+    }
+
+    getDiagnostics(resourceId) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.DIAGNOSTICS_STORE_NAME], 'readonly');
+                const request = transaction.objectStore(this.DIAGNOSTICS_STORE_NAME).get(resourceId);
+                request.onsuccess = () => resolve(request.result ? request.result.report : null);
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => {
+            console.error("IndexedDB Diagnostics Load Failed", e);
+            return null;
+        });
+    }
+
+    // --- Xtream Details (one entry per "<type>:<id>", see DetailService) ---
+
+    saveVodDetail(resourceId, detailId, data) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.DETAIL_STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(this.DETAIL_STORE_NAME);
+                const request = store.put({ resourceId, detailId, data, fetchedAt: Date.now() });
+                request.onsuccess = () => resolve();
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => console.error("IndexedDB Detail Save Failed", e));
+    }
+
+    // @returns {Promise<{data: Object, fetchedAt: number}|null>}
+    getVodDetail(resourceId, detailId) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.DETAIL_STORE_NAME], 'readonly');
+                const request = transaction.objectStore(this.DETAIL_STORE_NAME).get([resourceId, detailId]);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => {
+            console.error("IndexedDB Detail Load Failed", e);
+            return null;
+        });
+    }
+
+    // Kept across syncs (see deletePlaylistDataFromDB): only dropped with the resource or its account
+    async deleteVodDetails(resourceId) {
+        try {
+            const db = await this.openDB();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction([this.DETAIL_STORE_NAME], 'readwrite');
+                const store = tx.objectStore(this.DETAIL_STORE_NAME);
+                const req = store.index('resourceId').openKeyCursor(IDBKeyRange.only(resourceId));
+
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+                req.onerror = reject;
+            });
+        } catch (e) {
+            console.error("IndexedDB Detail Delete Failed", e);
+        }
+    }
+
+    // --- Local Playlist Files (source of truth for imported files) ---
+
+    /**
+     * Store a picked file, replacing any previous copy
+     * The file is read slice by slice so large playlists never sit in memory whole.
+     * @param {string} resourceId
+     * @param {Blob} file
+     */
+    async saveLocalFile(resourceId, file) {
+        await this.deleteLocalFile(resourceId);
+        const db = await this.openDB();
+
+        for (let offset = 0, chunkId = 0; offset < file.size; offset += this.FILE_CHUNK_SIZE, chunkId++) {
+            const data = await this.readBlob(file.slice(offset, offset + this.FILE_CHUNK_SIZE));
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.FILE_STORE_NAME], 'readwrite');
+                const request = transaction.objectStore(this.FILE_STORE_NAME).put({ resourceId, chunkId, data });
+                request.onsuccess = () => resolve();
+                request.onerror = (e) => reject(e);
+            });
+        }
+    }
+
+    readBlob(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    // Stored file as a Blob, or null when there is none
+    getLocalFile(resourceId) {
+        return this.openDB().then(db => {
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.FILE_STORE_NAME], 'readonly');
+                const index = transaction.objectStore(this.FILE_STORE_NAME).index('resourceId');
+                const request = index.getAll(IDBKeyRange.only(resourceId));
+
+                request.onsuccess = () => {
+                    const chunks = request.result;
+                    if (!chunks || chunks.length === 0) {
+                        resolve(null);
+                        return;
+                    }
+                    chunks.sort((a, b) => a.chunkId - b.chunkId);
+                    resolve(new Blob(chunks.map(c => c.data)));
+                };
+                request.onerror = (e) => reject(e);
+            });
+        }).catch(e => {
+            console.error("IndexedDB File Load Failed", e);
+            return null;
+        });
+    }
+
+    async deleteLocalFile(resourceId) {
+        try {
+            const db = await this.openDB();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction([this.FILE_STORE_NAME], 'readwrite');
+                const store = tx.objectStore(this.FILE_STORE_NAME);
+                const req = store.index('resourceId').openKeyCursor(IDBKeyRange.only(resourceId));
+
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = reject;
+            });
+        } catch (e) {
+            console.error("IndexedDB File Delete Failed", e);
+        }
+    }
+
     // New: Helper to save full playlist structure by Chunking it automatically
     // Replaces the old savePlaylist logic implicitly
     async savePlaylistAsChunks(resourceId, data) {
@@ -267,7 +657,15 @@ class StorageService {
                 req.onerror = reject;
             });
 
-            await Promise.all([p1, p2]);
+            // Delete diagnostics report
+            const p3 = new Promise((resolve, reject) => {
+                const tx = db.transaction([this.DIAGNOSTICS_STORE_NAME], 'readwrite');
+                const req = tx.objectStore(this.DIAGNOSTICS_STORE_NAME).delete(id);
+                req.onsuccess = resolve;
+                req.onerror = reject;
+            });
+
+            await Promise.all([p1, p2, p3]);
         } catch (e) {
             console.error("IndexedDB Delete Failed", e);
         }
@@ -278,6 +676,9 @@ class StorageService {
             const db = await this.openDB();
             const t1 = db.transaction([this.STORE_NAME], 'readwrite').objectStore(this.STORE_NAME).clear();
             const t2 = db.transaction([this.CHUNK_STORE_NAME], 'readwrite').objectStore(this.CHUNK_STORE_NAME).clear();
+            const t3 = db.transaction([this.DIAGNOSTICS_STORE_NAME], 'readwrite').objectStore(this.DIAGNOSTICS_STORE_NAME).clear();
+            const t4 = db.transaction([this.FILE_STORE_NAME], 'readwrite').objectStore(this.FILE_STORE_NAME).clear();
+            const t5 = db.transaction([this.DETAIL_STORE_NAME], 'readwrite').objectStore(this.DETAIL_STORE_NAME).clear();
         } catch (e) {
             console.error("IndexedDB Clear Failed", e);
         }
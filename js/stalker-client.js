@@ -0,0 +1,459 @@
+/**
+ * Stalker / Ministra Portal Client
+ * MAC address based middleware API (portal.php or stalker_portal/server/load.php).
+ * Flow: handshake -> token -> get_profile, then itv / vod / series calls with "Authorization: Bearer <token>".
+ * Playback links expire quickly, so items carry a stable stalker:// URL that is turned into a
+ * real stream through create_link right before playback (see StalkerClient.resolvePlaybackUrl).
+ */
+
+// Safety cap for paginated listings (pages per category)
+const STALKER_MAX_PAGES = 200;
+
+const STALKER_USER_AGENT = 'Mozilla/5.0 (QtEmbedded; U; Linux; C) AppleWebKit/533.3 (KHTML, like Gecko) MAG200 stbapp ver: 2 rev: 250 Safari/533.3';
+
+class StalkerClient {
+    /**
+     * @param {string} portalUrl - e.g. http://host:8080/c/ or http://host/stalker_portal/c/
+     * @param {string} mac - 00:1A:79:XX:XX:XX
+     * @param {Object} [options] - { resourceId, proxy }
+     */
+    constructor(portalUrl, mac, options = {}) {
+        this.portalUrl = StalkerClient.normalizePortalUrl(portalUrl);
+        this.apiUrl = StalkerClient.resolveApiUrl(this.portalUrl);
+        this.mac = (mac || '').trim().toUpperCase();
+        this.resourceId = options.resourceId || null;
+        this.proxy = options.proxy || ProxyChain.forResource(null);
+        this.token = null;
+    }
+
+    static normalizePortalUrl(url) {
+        let portal = (url || '').trim();
+        if (!/^https?:\/\//i.test(portal)) portal = 'http://' + portal;
+        return portal.replace(/\/+$/, '');
+    }
+
+    // http://host/c -> http://host/portal.php, http://host/stalker_portal/c -> .../stalker_portal/server/load.php
+    static resolveApiUrl(portalUrl) {
+        if (/\.php$/i.test(portalUrl)) return portalUrl;
+
+        const stalkerIndex = portalUrl.indexOf('/stalker_portal');
+        if (stalkerIndex > -1) return `${portalUrl.substring(0, stalkerIndex)}/stalker_portal/server/load.php`;
+
+        return `${portalUrl.replace(/\/c$/i, '')}/portal.php`;
+    }
+
+    static isValidMac(mac) {
+        return /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i.test((mac || '').trim());
+    }
+
+    // --- Stable item URLs ---
+
+    static isStalkerUrl(url) {
+        return typeof url === 'string' && url.startsWith('stalker://');
+    }
+
+    // stalker://<resourceId>/<itv|vod>?cmd=...&series=3
+    static buildItemUrl(resourceId, type, cmd, series = null) {
+        return `stalker://${resourceId}/${type}?cmd=${encodeURIComponent(cmd || '')}${series ? `&series=${series}` : ''}`;
+    }
+
+    static parseItemUrl(url) {
+        const match = (url || '').match(/^stalker:\/\/([^/]+)\/([a-z]+)\?(.*)$/i);
+        if (!match) return null;
+
+        const params = {};
+        match[3].split('&').forEach(pair => {
+            const [key, value = ''] = pair.split('=');
+            params[key] = decodeURIComponent(value);
+        });
+        return { resourceId: match[1], type: match[2], cmd: params.cmd || '', series: params.series || null };
+    }
+
+    // One authenticated client per resource, reused for playback links and EPG
+    static forResource(resource) {
+        StalkerClient.clients = StalkerClient.clients || {};
+        const { portal, mac } = resource.credentials || {};
+        const cached = StalkerClient.clients[resource.id];
+        if (cached && cached.portalUrl === StalkerClient.normalizePortalUrl(portal) && cached.mac === (mac || '').toUpperCase()) {
+            cached.proxy = ProxyChain.forResource(resource);
+            return cached;
+        }
+
+        const client = new StalkerClient(portal, mac, { resourceId: resource.id, proxy: ProxyChain.forResource(resource) });
+        StalkerClient.clients[resource.id] = client;
+        return client;
+    }
+
+    /**
+     * Turn a stalker:// item URL into a playable stream URL
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    static async resolvePlaybackUrl(url) {
+        const parsed = StalkerClient.parseItemUrl(url);
+        if (!parsed) throw new Error('Invalid portal link');
+
+        const resource = state.resources.find(r => r.id === parsed.resourceId);
+        if (!resource || !resource.credentials) throw new Error('Portal resource not found');
+
+        return StalkerClient.forResource(resource).createLink(parsed.type, parsed.cmd, parsed.series);
+    }
+
+    // "ffmpeg http://..." / "auto http://..." -> http://...
+    static cleanCmd(cmd) {
+        return (cmd || '').replace(/^(ffmpeg|ffrt\d?|auto)\s+/i, '').trim();
+    }
+
+    // --- Transport ---
+
+    // Without the header proxy the mac cookie never reaches the portal: the likely cause of a rejection
+    static headerProxyHint() {
+        const configured = typeof appSettings !== 'undefined' && appSettings.headerProxyUrl;
+        return configured ? '' : ' (set a Stream Header Proxy in Settings to send the MAC cookie)';
+    }
+
+    buildHeaders() {
+        let timezone = 'Europe/London';
+        try {
+            timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || timezone;
+        } catch (e) { }
+
+        const headers = {
+            'X-User-Agent': 'Model: MAG250; Link: WiFi',
+            'Cookie': `mac=${encodeURIComponent(this.mac)}; stb_lang=en; timezone=${encodeURIComponent(timezone)}`,
+            'User-Agent': STALKER_USER_AGENT,
+            'Referer': `${this.portalUrl}/`
+        };
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        return headers;
+    }
+
+    async fetchWithTimeout(url, options = {}) {
+        return ProxyChain.fetch(url, this.proxy, (target) => this.fetchOnce(target, options), options.signal);
+    }
+
+    async fetchOnce(url, options = {}) {
+        const { timeout = 30000, signal } = options;
+        const controller = new AbortController();
+
+        if (signal) {
+            if (signal.aborted) {
+                return Promise.reject(new DOMException('Aborted', 'AbortError'));
+            }
+            signal.addEventListener('abort', () => controller.abort());
+        }
+
+        const id = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            clearTimeout(id);
+            return response;
+        } catch (e) {
+            clearTimeout(id);
+            if (signal && signal.aborted) {
+                throw new DOMException('Aborted', 'AbortError');
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Call the portal API and unwrap the { js: ... } envelope
+     * Re-authenticates once when the token was rejected.
+     */
+    async request(params, signal = null, retry = true) {
+        // The MAC also goes in the query: browsers drop the Cookie header unless a header proxy sends it
+        const query = Object.entries({ ...params, mac: this.mac, JsHttpRequest: '1-xml' })
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+        const url = `${this.apiUrl}?${query}`;
+        const headers = this.buildHeaders();
+
+        // Cookie / User-Agent are dropped by browsers: the header proxy can add them
+        const headerProxyUrl = ProxyChain.applyHeaderProxy(url, headers);
+        let res;
+        if (headerProxyUrl !== url) {
+            const allowed = {};
+            Object.keys(headers).forEach(name => {
+                if (!FORBIDDEN_HEADERS.includes(name.toLowerCase())) allowed[name] = headers[name];
+            });
+            res = await this.fetchOnce(headerProxyUrl, { headers: allowed, signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        } else {
+            res = await this.fetchWithTimeout(url, { headers, signal });
+        }
+
+        const text = await res.text();
+        if (/authorization failed/i.test(text)) {
+            if (!retry || params.action === 'handshake') {
+                throw new Error(`Portal rejected this MAC address${StalkerClient.headerProxyHint()}`);
+            }
+            await this.authenticate(signal);
+            return this.request(params, signal, false);
+        }
+
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Portal returned an invalid response');
+        }
+        return body && body.js !== undefined ? body.js : body;
+    }
+
+    // --- API ---
+
+    async authenticate(signal = null) {
+        this.token = null;
+
+        const handshake = await this.request({ type: 'stb', action: 'handshake', token: '', prehash: 0 }, signal, false);
+        if (!handshake || !handshake.token) throw new Error('Portal handshake failed');
+        this.token = handshake.token;
+
+        const profile = await this.request({
+            type: 'stb',
+            action: 'get_profile',
+            hd: 1,
+            stb_type: 'MAG250',
+            sn: this.mac.replace(/:/g, ''),
+            auth_second_step: 1,
+            not_valid_token: 0,
+            num_banks: 2
+        }, signal, false);
+
+        if (!profile || typeof profile !== 'object') throw new Error(`Authentication Failed${StalkerClient.headerProxyHint()}`);
+        if (String(profile.blocked) === '1') throw new Error('This MAC address is blocked by the portal');
+        if (profile.status !== undefined && Number(profile.status) !== 0 && !profile.id) {
+            throw new Error((profile.msg || 'MAC address not registered on this portal') + StalkerClient.headerProxyHint());
+        }
+        return profile;
+    }
+
+    async ensureToken(signal = null) {
+        if (!this.token) await this.authenticate(signal);
+    }
+
+    async getGenres(signal = null) {
+        await this.ensureToken(signal);
+        const genres = await this.request({ type: 'itv', action: 'get_genres' }, signal);
+        return Array.isArray(genres) ? genres : [];
+    }
+
+    async getAllChannels(signal = null) {
+        await this.ensureToken(signal);
+        const result = await this.request({ type: 'itv', action: 'get_all_channels' }, signal);
+        if (Array.isArray(result)) return result;
+        return (result && Array.isArray(result.data)) ? result.data : [];
+    }
+
+    // type: 'vod' | 'series'
+    async getCategories(type, signal = null) {
+        await this.ensureToken(signal);
+        const categories = await this.request({ type, action: 'get_categories' }, signal);
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    async getOrderedList(type, categoryId, page = 1, signal = null, extra = {}) {
+        await this.ensureToken(signal);
+        const result = await this.request({
+            type,
+            action: 'get_ordered_list',
+            category: categoryId,
+            genre: categoryId,
+            p: page,
+            sortby: 'added',
+            ...extra
+        }, signal);
+
+        return {
+            total: parseInt(result && result.total_items, 10) || 0,
+            perPage: parseInt(result && result.max_page_items, 10) || 0,
+            data: (result && Array.isArray(result.data)) ? result.data : []
+        };
+    }
+
+    // All pages of a category listing
+    async getAllPages(type, categoryId, signal = null, onPage = null) {
+        const items = [];
+        for (let page = 1; page <= STALKER_MAX_PAGES; page++) {
+            const { total, perPage, data } = await this.getOrderedList(type, categoryId, page, signal);
+            items.push(...data);
+            if (onPage) onPage(data);
+            if (data.length === 0 || !perPage || page * perPage >= total) break;
+        }
+        return items;
+    }
+
+    /**
+     * Seasons of a series, shaped like M3U shows: { seasonNumber: [episodes] }
+     * Newer portals list seasons via movie_id; each season holds episode numbers and a cmd.
+     */
+    async getSeriesInfo(seriesId, signal = null) {
+        const { data } = await this.getOrderedList('series', '*', 1, signal, { movie_id: seriesId, season_id: 0, episode_id: 0 });
+        const seasons = {};
+
+        data.forEach((season, index) => {
+            const numberMatch = String(season.name || '').match(/(\d+)/);
+            const seasonNum = String(season.season_number || (numberMatch ? numberMatch[1] : index + 1));
+            seasons[seasonNum] = this.mapEpisodes(season, seasonNum);
+        });
+        return seasons;
+    }
+
+    mapEpisodes(entry, seasonNum) {
+        return (entry.series || []).map(num => ({
+            id: `${entry.id}:${num}`,
+            episode_num: num,
+            season: seasonNum,
+            title: `Episode ${num}`,
+            logo: this.absoluteUrl(entry.screenshot_uri),
+            url: StalkerClient.buildItemUrl(this.resourceId, 'vod', entry.cmd, num)
+        }));
+    }
+
+    async createLink(type, cmd, series = null, signal = null) {
+        await this.ensureToken(signal);
+        const params = { type, action: 'create_link', cmd, forced_storage: 0, disable_ad: 0, download: 0 };
+        if (series) params.series = series;
+
+        const result = await this.request(params, signal);
+        const link = StalkerClient.cleanCmd(result && result.cmd);
+        if (!link) throw new Error('Portal did not return a stream link');
+        return link;
+    }
+
+    // Now / next listings: [{ name, descr, start_timestamp, stop_timestamp }]
+    async getShortEpg(channelId, size = 4, signal = null) {
+        await this.ensureToken(signal);
+        const result = await this.request({ type: 'itv', action: 'get_short_epg', ch_id: channelId, size }, signal);
+        return Array.isArray(result) ? result : [];
+    }
+
+    // Logos are often portal-relative
+    absoluteUrl(path) {
+        if (!path) return '';
+        if (/^https?:\/\//i.test(path)) return path;
+        const origin = this.portalUrl.match(/^https?:\/\/[^/]+/i)[0];
+        return `${origin}${path.startsWith('/') ? '' : '/'}${path}`;
+    }
+
+    mapCategories(categories) {
+        const map = {};
+        categories.forEach(c => {
+            map[c.id] = NameProcessor.processCategory(c.title || c.name || '');
+        });
+        return map;
+    }
+
+    /**
+     * Full catalog in the XtreamClient.fetchAll shape
+     * A failing section fails the whole sync, so the previous data is kept rather than replaced by a partial catalog.
+     * @param {AbortSignal} [signal]
+     * @param {Function} [onProgress] - Called with running stats
+     * @returns {Promise<{data, stats}>}
+     */
+    async fetchAll(signal = null, onProgress = null) {
+        const data = { channels: {}, movies: {}, series: {}, catchup: {} };
+        const stats = { channels: 0, movies: 0, series: 0, catchup: 0 };
+        const report = () => { if (onProgress) onProgress({ ...stats }); };
+
+        await this.authenticate(signal);
+
+        // 1. Live
+        try {
+            const genreMap = this.mapCategories(await this.getGenres(signal));
+            const channels = await this.getAllChannels(signal);
+
+            channels.forEach(ch => {
+                const catName = genreMap[ch.tv_genre_id] || 'Uncategorized';
+                if (!data.channels[catName]) data.channels[catName] = [];
+
+                const processed = NameProcessor.process(ch.name || '');
+                data.channels[catName].push({
+                    title: processed.title,
+                    rawTitle: ch.name,
+                    badges: processed.badges || [],
+                    logo: this.absoluteUrl(ch.logo),
+                    group: catName,
+                    url: StalkerClient.buildItemUrl(this.resourceId, 'itv', ch.cmd),
+                    id: ch.id,
+                    epg_id: ch.xmltv_id || null,
+                    chno: ch.number
+                });
+                stats.channels++;
+            });
+            report();
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            throw new Error(`Channels unavailable: ${e.message}`);
+        }
+
+        // 2. VOD (paginated per category)
+        try {
+            const categories = (await this.getCategories('vod', signal)).filter(c => c.id !== '*');
+            for (const category of categories) {
+                const catName = NameProcessor.processCategory(category.title || '');
+                const list = await this.getAllPages('vod', category.id, signal);
+                list.forEach(movie => {
+                    if (!data.movies[catName]) data.movies[catName] = [];
+                    const processed = NameProcessor.process(movie.name || '');
+                    data.movies[catName].push({
+                        title: processed.title,
+                        rawTitle: movie.name,
+                        badges: processed.badges,
+                        logo: this.absoluteUrl(movie.screenshot_uri),
+                        group: catName,
+                        url: StalkerClient.buildItemUrl(this.resourceId, 'vod', movie.cmd),
+                        id: movie.id,
+                        rating: movie.rating_imdb || null,
+                        releaseDate: movie.year || null,
+                        plot: movie.description || ''
+                    });
+                    stats.movies++;
+                });
+                report();
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            throw new Error(`Movies unavailable: ${e.message}`);
+        }
+
+        // 3. Series (paginated per category, seasons loaded on open unless listed inline)
+        try {
+            const categories = (await this.getCategories('series', signal)).filter(c => c.id !== '*');
+            for (const category of categories) {
+                const catName = NameProcessor.processCategory(category.title || '');
+                const list = await this.getAllPages('series', category.id, signal);
+                list.forEach(series => {
+                    if (!data.series[catName]) data.series[catName] = [];
+                    const processed = NameProcessor.process(series.name || '');
+                    const show = {
+                        title: processed.title,
+                        rawTitle: series.name,
+                        badges: processed.badges,
+                        logo: this.absoluteUrl(series.screenshot_uri),
+                        group: catName,
+                        id: series.id,
+                        isSeries: true,
+                        rating: series.rating_imdb || null,
+                        releaseDate: series.year || null,
+                        plot: series.description || ''
+                    };
+                    // Older portals list episode numbers on the series itself
+                    if (Array.isArray(series.series) && series.series.length > 0) {
+                        show.seasons = { '1': this.mapEpisodes(series, '1') };
+                    }
+                    data.series[catName].push(show);
+                    stats.series++;
+                });
+                report();
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            throw new Error(`Series unavailable: ${e.message}`);
+        }
+
+        return { data, stats };
+    }
+}
@@ -26,6 +26,13 @@ const state = {
         movies: '',
         series: '',
         catchup: ''
+    },
+    // Lazy Xtream categories not fetched yet: { dataKey: { groupName: [{ resourceId, kind, category }] } }
+    lazyCategories: {
+        channels: {},
+        movies: {},
+        series: {},
+        catchup: {}
     }
 };
 
@@ -35,10 +42,22 @@ const APP_VERSION = '0.0.37';
 const MAX_SEARCH_RESULTS = 150;
 const DISPLAY_LIMIT = 50;
 
+// View id -> aggregated data key
+const VIEW_DATA_KEYS = {
+    live: 'channels',
+    movies: 'movies',
+    series: 'series',
+    catchup: 'catchup'
+};
+
 // App Settings
 const appSettings = {
 
-    playerType: 'videojs'
+    playerType: 'videojs',
+    headerProxyUrl: '',
+    corsProxyMode: 'off',
+    corsProxyUrls: [],
+    prefetchDetails: false
 };
 
 
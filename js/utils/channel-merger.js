@@ -0,0 +1,102 @@
+/**
+ * Channel Merger
+ * Collapses the same channel offered by several resources into one entry.
+ * Channels match on tvg-id (or normalized title) plus quality badge, so "BBC One HD" from two
+ * providers merges while "BBC One SD" stays a separate row. The first provider (resource order)
+ * stays the primary entry; the others become its ordered `alternates` for switching / failover.
+ */
+
+// Quality badges that split otherwise identical channels
+const MERGE_QUALITY_BADGES = ['4K', 'FHD', 'HD', 'SD'];
+
+// Stream fields copied into an alternate source
+const ALTERNATE_FIELDS = ['url', 'source', 'resourceId', 'title', 'headers', 'drm', 'manifestType', 'badges'];
+
+class ChannelMerger {
+    /**
+     * Merge duplicate channels across resources
+     * @param {Object} groups - { groupName: [items with source] } (aggregated channels)
+     * @returns {Object} Groups with duplicates folded into their first occurrence
+     */
+    static merge(groups) {
+        const byId = new Map();
+        const byTitle = new Map();
+        const result = {};
+
+        Object.keys(groups).forEach(groupName => {
+            const kept = [];
+
+            groups[groupName].forEach(item => {
+                const quality = this.qualityOf(item);
+                const guideId = this.guideIdOf(item);
+                const title = this.normalizeTitle(item.title);
+                const titleKey = title ? `${title}|${quality}` : null;
+                const idKey = guideId ? `${guideId}|${quality}` : null;
+
+                const primary = (idKey && byId.get(idKey)) || (titleKey && byTitle.get(titleKey));
+
+                // Duplicates inside one resource are the provider's own choice (e.g. backup streams)
+                if (primary && !this.providersOf(primary).includes(item.resourceId)) {
+                    primary.alternates.push(this.toAlternate(item));
+                    return;
+                }
+
+                const entry = { ...item, alternates: [] };
+                kept.push(entry);
+                if (idKey && !byId.has(idKey)) byId.set(idKey, entry);
+                if (titleKey && !byTitle.has(titleKey)) byTitle.set(titleKey, entry);
+            });
+
+            // Groups made only of duplicates disappear (empty lazy placeholders stay)
+            if (kept.length > 0 || groups[groupName].length === 0) result[groupName] = kept;
+        });
+
+        // Single-provider channels carry no alternates
+        Object.values(result).forEach(items => items.forEach(item => {
+            if (item.alternates.length === 0) delete item.alternates;
+        }));
+
+        return result;
+    }
+
+    // Guide id: tvg-id for playlists, epg_channel_id for Xtream / portal channels
+    static guideIdOf(item) {
+        const id = ('epg_id' in item || 'tv_archive' in item) ? item.epg_id : item.id;
+        return id ? String(id).trim().toLowerCase() : '';
+    }
+
+    static qualityOf(item) {
+        return (item.badges || []).find(b => MERGE_QUALITY_BADGES.includes(b)) || '';
+    }
+
+    // "BBC One", "bbc-one" and "BBC  ONE" are the same channel
+    static normalizeTitle(title) {
+        return String(title || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9\u0400-\u04ff\u0600-\u06ff]+/g, '');
+    }
+
+    // Resource ids of an entry and its alternates
+    static providersOf(entry) {
+        return [entry.resourceId, ...entry.alternates.map(a => a.resourceId)];
+    }
+
+    static toAlternate(item) {
+        const alternate = {};
+        ALTERNATE_FIELDS.forEach(field => {
+            if (item[field] !== undefined) alternate[field] = item[field];
+        });
+        return alternate;
+    }
+
+    /**
+     * All playable sources of an item, primary first
+     * @param {Object} item
+     * @returns {Array<Object>}
+     */
+    static sourcesOf(item) {
+        return [item, ...(item.alternates || [])];
+    }
+}
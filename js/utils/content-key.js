@@ -0,0 +1,48 @@
+/**
+ * Content Key
+ * Stable identity of a catalog item across re-syncs: "<resourceId>|<kind>|<identity>".
+ * Stream URLs change when a provider rotates tokens, credentials or hosts; favorites and watch
+ * progress are keyed on this instead. Identity is the provider's stream / episode id, the tvg-id
+ * of playlist entries (with their tvg-shift, quality and normalized title: time-shifted copies and
+ * HD / SD variants often share one tvg-id), or the normalized title.
+ */
+
+class ContentKey {
+    /**
+     * @param {Object} item - Catalog item, or a playback item with vod metadata in `item.item`
+     *   ({ movieId } / { seriesId, episodeId }, see vod-view playContent)
+     * @param {string} type - 'channels' | 'live' | 'catchup' | 'movies' | 'series'
+     * @returns {string|null} null when the item's resource is unknown
+     */
+    static of(item, type) {
+        if (!item) return null;
+
+        const meta = item.item || {};
+        const resource = findResource(item.resourceId ? item : meta);
+        if (!resource) return null;
+
+        const hasId = item.id !== undefined && item.id !== null && item.id !== '';
+        const title = ChannelMerger.normalizeTitle(item.title);
+        const quality = ChannelMerger.qualityOf(item);
+
+        let identity;
+        if (meta.episodeId) identity = `episode:${meta.episodeId}`;
+        else if (meta.movieId) identity = `id:${meta.movieId}`;
+        else if (hasId && (resource.type === 'xtream' || resource.type === 'stalker')) identity = `id:${item.id}`;
+        else if (hasId) {
+            const shift = item.tvgShift ? `:shift${item.tvgShift}` : '';
+            identity = `tvg:${item.id}${shift}${quality ? `:${quality}` : ''}:${title}`;
+        }
+        else if (title) identity = `title:${title}`;
+        else return null;
+
+        return `${resource.id}|${this.kindOf(type)}|${identity}`;
+    }
+
+    // Live and catchup entries are the same channel
+    static kindOf(type) {
+        if (type === 'movies' || type === 'movie') return 'movies';
+        if (type === 'series') return 'series';
+        return 'channels';
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Credential Vault
+ * Encrypts provider credentials at rest (AES-GCM, WebCrypto). The key is derived with PBKDF2 from the
+ * device id and a per-install salt. Both are stored in localStorage next to the ciphertext, so this is
+ * obfuscation only: it keeps passwords out of plain sight (storage dumps, backend sync, logs), but
+ * anyone with a full copy of localStorage can derive the key.
+ * Stored stream and guide URLs never carry Xtream credentials either: maskUrl() swaps the
+ * "/user/pass/" path segment (or "username=…&password=…" query) for a placeholder and resolveUrl()
+ * puts it back right before use. M3U links exported by panels (get.php?username=…&password=…) get
+ * the same treatment, with the login read from the playlist URL (see loginOf).
+ */
+
+const VAULT_SALT_KEY = 'watchnow_vault_salt';
+const VAULT_KDF_ITERATIONS = 50000;
+
+// {cred:<resourceId>} stands for "<username>/<password>" of that resource,
+// {credq:<resourceId>} for "username=<username>&password=<password>" (XMLTV and player_api URLs)
+const CREDENTIAL_PLACEHOLDER = /\{cred(q?):([^}]+)\}/g;
+
+class CredentialVault {
+    // WebCrypto only exists in secure contexts (https, localhost, packaged apps)
+    static isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    // Derived once per session
+    static key() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.deriveKey().catch(e => {
+                this.keyPromise = null;
+                throw e;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    // Key material: watchnow_okp_id and VAULT_SALT_KEY, both in localStorage
+    static async deriveKey() {
+        const deviceId = typeof licenseManager !== 'undefined' ? await licenseManager.initializeOkpId() : '';
+
+        let salt = localStorage.getItem(VAULT_SALT_KEY);
+        if (!salt) {
+            salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            localStorage.setItem(VAULT_SALT_KEY, salt);
+        }
+
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(`watchnow:${deviceId}`), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON value
+     * @param {*} value
+     * @returns {Promise<{iv: string, data: string}|null>} null when WebCrypto is unavailable
+     */
+    static async encrypt(value) {
+        if (!this.isAvailable()) return null;
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, await this.key(), new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypt a value sealed by encrypt()
+     * @param {{iv: string, data: string}} sealed
+     * @returns {Promise<*>}
+     * @throws When the key does not match (other device, reset device id) or the data is corrupt
+     */
+    static async decrypt(sealed) {
+        if (!this.isAvailable()) throw new Error('WebCrypto is not available');
+
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) }, await this.key(), this.fromBase64(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    // --- Stream URL placeholders ---
+
+    /**
+     * Login that appears in the stream URLs of a resource
+     * Xtream resources keep it in their credentials, M3U links from panels in their own query string.
+     * @param {Object} res
+     * @returns {{username: string, password: string}|null}
+     */
+    static loginOf(res) {
+        const c = res.credentials;
+        if (c) return c.username && c.password ? c : null;
+        return this.urlLogin(res);
+    }
+
+    // username / password query parameters of an M3U playlist URL, as written in it
+    static urlLogin(res) {
+        if (!res || res.type === 'xtream' || res.type === 'stalker' || typeof res.url !== 'string') return null;
+
+        const username = res.url.match(/[?&]username=([^&#]+)/);
+        const password = res.url.match(/[?&]password=([^&#]+)/);
+        return username && password ? { username: username[1], password: password[1] } : null;
+    }
+
+    /**
+     * Replace Xtream credentials in a stream or guide URL by a placeholder
+     * @param {string} url
+     * @param {Array<Object>} [resources] - Resources whose credentials to look for (default: all)
+     * @returns {string} Unchanged when no resource credentials appear in it
+     */
+    static maskUrl(url, resources = (typeof state !== 'undefined' && state.resources) || []) {
+        if (typeof url !== 'string') return url;
+
+        for (const res of resources) {
+            const c = this.loginOf(res);
+            if (!c) continue;
+
+            const segment = `/${c.username}/${c.password}/`;
+            const query = `username=${c.username}&password=${c.password}`;
+            if (!url.includes(segment) && !url.includes(query)) continue;
+
+            return url.split(segment).join(`/{cred:${res.id}}/`).split(query).join(`{credq:${res.id}}`);
+        }
+        return url;
+    }
+
+    static isMasked(url) {
+        return typeof url === 'string' && /\{credq?:/.test(url);
+    }
+
+    /**
+     * Put the credentials back into a masked URL
+     * Placeholders of unknown resources stay (the stream fails like any dead link).
+     * @param {string} url
+     * @param {Array<Object>} [resources] - Resources to take credentials from (default: all)
+     */
+    static resolveUrl(url, resources = (typeof state !== 'undefined' && state.resources) || []) {
+        if (!this.isMasked(url)) return url;
+
+        return url.replace(CREDENTIAL_PLACEHOLDER, (placeholder, query, id) => {
+            const res = resources.find(r => r.id === id);
+            const c = res && this.loginOf(res);
+            if (!c) return placeholder;
+            return query ? `username=${c.username}&password=${c.password}` : `${c.username}/${c.password}`;
+        });
+    }
+
+    // Copy of an item (and its alternate sources) with masked / resolved URLs
+    static maskItem(item) {
+        return this.mapItemUrls(item, url => this.maskUrl(url));
+    }
+
+    static resolveItem(item) {
+        return this.mapItemUrls(item, url => this.resolveUrl(url));
+    }
+
+    static mapItemUrls(item, fn) {
+        if (!item) return item;
+        const copy = { ...item, url: fn(item.url) };
+        if (item.alternates) copy.alternates = item.alternates.map(alt => ({ ...alt, url: fn(alt.url) }));
+        return copy;
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Gzip Utilities
+ * Detects gzip payloads by magic number (1f 8b) and decompresses them transparently.
+ * Uses the native DecompressionStream when available, falls back to pako (loaded from CDN).
+ * Works for playlists, local file imports and XMLTV guides (.xml.gz).
+ */
+class Gzip {
+    /**
+     * Check for the gzip magic number
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static isGzip(bytes) {
+        return !!bytes && bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+
+    static isSupported() {
+        return typeof DecompressionStream !== 'undefined' || typeof pako !== 'undefined';
+    }
+
+    /**
+     * Wrap a stream reader so gzip content comes out decompressed.
+     * Non-gzip content is passed through untouched.
+     * @param {ReadableStreamDefaultReader} reader
+     * @returns {Promise<{read: Function, cancel: Function}>}
+     */
+    static async wrapReader(reader) {
+        const first = await reader.read();
+
+        // Replays the peeked chunk before the remaining stream
+        let peeked = first;
+        const replay = {
+            read: () => {
+                if (peeked) {
+                    const chunk = peeked;
+                    peeked = null;
+                    return Promise.resolve(chunk);
+                }
+                return reader.read();
+            },
+            cancel: (reason) => reader.cancel(reason)
+        };
+
+        if (first.done || !this.isGzip(first.value)) return replay;
+
+        if (typeof DecompressionStream !== 'undefined') {
+            const source = new ReadableStream({
+                pull: async (controller) => {
+                    const { done, value } = await replay.read();
+                    if (done) controller.close();
+                    else controller.enqueue(value);
+                },
+                cancel: (reason) => reader.cancel(reason)
+            });
+            return source.pipeThrough(new DecompressionStream('gzip')).getReader();
+        }
+
+        if (typeof pako !== 'undefined') {
+            return this.pakoReader(replay);
+        }
+
+        throw new Error('Gzip content is not supported on this device');
+    }
+
+    // Streaming inflate via pako for engines without DecompressionStream
+    static pakoReader(source) {
+        const inflator = new pako.Inflate();
+        let output = [];
+        inflator.onData = (chunk) => output.push(chunk);
+
+        return {
+            read: async () => {
+                while (output.length === 0) {
+                    const { done, value } = await source.read();
+                    if (done) {
+                        if (!inflator.ended) inflator.push(new Uint8Array(0), true);
+                        if (inflator.err) throw new Error(inflator.msg || 'Gzip decompression failed');
+                        if (output.length === 0) return { done: true, value: undefined };
+                        break;
+                    }
+                    inflator.push(value, false);
+                    if (inflator.err) throw new Error(inflator.msg || 'Gzip decompression failed');
+                }
+                const chunk = output.shift();
+                return { done: false, value: chunk };
+            },
+            cancel: (reason) => source.cancel(reason)
+        };
+    }
+
+    /**
+     * Decompress a complete buffer if it is gzip
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {Promise<Uint8Array>}
+     */
+    static async decompressBytes(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (!this.isGzip(bytes)) return bytes;
+
+        if (typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        if (typeof pako !== 'undefined') {
+            return pako.ungzip(bytes);
+        }
+
+        throw new Error('Gzip content is not supported on this device');
+    }
+
+    /**
+     * Read a fetch Response as text, decompressing gzip bodies (e.g. XMLTV .xml.gz)
+     * @param {Response} response
+     * @returns {Promise<string>}
+     */
+    static async responseToText(response) {
+        const bytes = await this.decompressBytes(await response.arrayBuffer());
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
@@ -8,7 +8,11 @@
 function loadAppSettings() {
     const defaultSettings = {
 
-        playerType: 'videojs'
+        playerType: 'videojs',
+        headerProxyUrl: '',
+        corsProxyMode: 'off',
+        corsProxyUrls: [],
+        prefetchDetails: false
     };
     Object.assign(appSettings, storageService.loadAppSettings(defaultSettings));
 }
@@ -186,4 +190,89 @@ function updatePlayerInfo(item) {
             if (window.lucide && window.lucide.createIcons) window.lucide.createIcons({ root: logoContainer });
         }
     });
+
+    renderSourceSwitcher(item);
+    loadPortalShortEpg(item);
+}
+
+/**
+ * Resource an item, favorite or progress entry comes from
+ * Matched by id: names are for display only (they change, and two playlists may share one).
+ * @param {Object} item - Carries `resourceId`
+ * @returns {Object|null}
+ */
+function findResource(item) {
+    if (!item || !item.resourceId) return null;
+    return state.resources.find(r => r.id === item.resourceId) || null;
+}
+
+// Entries stored before resource ids were recorded only name their resource (first match wins)
+function legacyResourceId(name) {
+    const res = name && state.resources.find(r => r.name === name);
+    return res ? res.id : null;
+}
+
+/**
+ * Provider buttons for merged channels (ChannelMerger alternates)
+ * @param {Object} item - Channel item
+ */
+function renderSourceSwitcher(item) {
+    const sources = ChannelMerger.sourcesOf(item);
+
+    document.querySelectorAll('[id="nested-source-switcher"]').forEach(container => {
+        container.innerHTML = '';
+        if (sources.length < 2) return;
+
+        sources.forEach((source, index) => {
+            const btn = document.createElement('button');
+            btn.className = `btn btn-glass source-btn focusable${index === 0 ? ' active' : ''}`;
+            btn.dataset.index = index;
+            btn.textContent = source.source || `Source ${index + 1}`;
+            btn.addEventListener('click', () => VideoPlayer.switchSource(index));
+            container.appendChild(btn);
+        });
+    });
+}
+
+// Highlight the provider that is playing (manual switch or failover)
+function updateSourceSwitcher(index) {
+    document.querySelectorAll('[id="nested-source-switcher"] .source-btn').forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.index, 10) === index);
+    });
+}
+
+// Bumped on every channel switch so late portal answers are ignored
+let shortEpgRequestId = 0;
+
+/**
+ * Now / next for Stalker portal channels (get_short_epg)
+ * @param {Object} item - Channel item with a stalker:// URL
+ */
+async function loadPortalShortEpg(item) {
+    const requestId = ++shortEpgRequestId;
+    const parsed = StalkerClient.parseItemUrl(item.url);
+    if (!parsed || parsed.type !== 'itv' || !item.id) return;
+
+    const resource = state.resources.find(r => r.id === parsed.resourceId);
+    if (!resource || !resource.credentials) return;
+
+    let programs = [];
+    try {
+        programs = await StalkerClient.forResource(resource).getShortEpg(item.id, 2);
+    } catch (e) {
+        console.warn('Short EPG failed', e);
+    }
+    if (requestId !== shortEpgRequestId || programs.length === 0) return;
+
+    const formatTime = (ts) => new Date(ts * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const [now, next] = programs;
+
+    document.querySelectorAll('[id="nested-program-title"]').forEach(el => {
+        el.textContent = `${formatTime(now.start_timestamp)} - ${formatTime(now.stop_timestamp)} ${now.name || ''}`;
+    });
+
+    document.querySelectorAll('[id="nested-program-desc"]').forEach(el => {
+        const nextText = next ? `Next: ${formatTime(next.start_timestamp)} ${next.name || ''}` : '';
+        el.textContent = [now.descr, nextText].filter(Boolean).join(' \u2022 ');
+    });
 }
@@ -0,0 +1,120 @@
+/**
+ * Mirror Hosts
+ * A resource may list mirror hosts serving the same account or playlist (`resource.mirrors`).
+ * Requests try the remembered working host first, then the primary host, then the other mirrors,
+ * each with retries (see RetryPolicy). The host that answered is remembered (`resource.activeHost`)
+ * and playback URLs on any host of the resource are moved to it.
+ * Loaded in the parser worker too.
+ */
+
+class MirrorHosts {
+    /**
+     * Host the resource's URLs are built on: the Xtream server URL, or the playlist URL's origin
+     * @returns {string|null} null for local files and portals
+     */
+    static primaryOf(resource) {
+        if (!resource) return null;
+        if (resource.type === 'xtream') return (resource.credentials && resource.credentials.host) || null;
+        if (resource.type === 'stalker' || resource.localFile || !/^https?:/i.test(resource.url || '')) return null;
+        try {
+            return new URL(resource.url).origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Hosts to try, in order
+     * @returns {string[]} Empty when the resource has no host
+     */
+    static hostsOf(resource) {
+        const primary = this.primaryOf(resource);
+        if (!primary) return [];
+        return this.order(primary, resource.mirrors, resource.activeHost);
+    }
+
+    static order(primary, mirrors = [], activeHost = null) {
+        const hosts = [activeHost, primary, ...(mirrors || [])].filter(Boolean);
+        return hosts.filter((host, i) => hosts.indexOf(host) === i);
+    }
+
+    // "backup.tv:8080/" -> "http://backup.tv:8080"
+    static normalize(host) {
+        let value = (host || '').trim().replace(/\/+$/, '');
+        if (!value) return '';
+        if (!/^https?:\/\//i.test(value)) value = 'http://' + value;
+        return value;
+    }
+
+    // Textarea / comma separated list
+    static parseList(text) {
+        return (text || '').split(/[\n,]/).map(s => this.normalize(s)).filter(Boolean);
+    }
+
+    /**
+     * Move a URL from one host to another
+     * @returns {string} Unchanged unless the URL is on `from`
+     */
+    static swapHost(url, from, to) {
+        if (!url || !from || !to || from === to || !url.startsWith(from)) return url;
+        // Whole host only: http://a.tv must not match http://a.tv.example
+        const rest = url.slice(from.length);
+        if (rest && !/^[/?#]/.test(rest)) return url;
+        return to + rest;
+    }
+
+    /**
+     * Run a request against each host until one answers
+     * @param {string[]} hosts - See hostsOf; the first one is the current choice
+     * @param {Function} requestFn - (host) => Promise
+     * @param {Object} [options] - { signal, retries, onHostChange(host) }
+     * @returns {Promise<*>}
+     */
+    static async fetch(hosts, requestFn, options = {}) {
+        const { signal, retries, onHostChange } = options;
+        let lastError = null;
+
+        for (let i = 0; i < hosts.length; i++) {
+            try {
+                const result = await RetryPolicy.run(() => requestFn(hosts[i]), { signal, retries });
+                if (i > 0 && onHostChange) onHostChange(hosts[i]);
+                return result;
+            } catch (e) {
+                if (signal && signal.aborted) throw e;
+                lastError = e;
+                if (i < hosts.length - 1) console.warn(`[MirrorHosts] ${hosts[i]} failed, trying ${hosts[i + 1]}`, e);
+            }
+        }
+
+        throw lastError || new Error('No host to request');
+    }
+
+    /**
+     * Remember the host that answered (null = back on the primary)
+     */
+    static remember(resource, host) {
+        resource.activeHost = host === this.primaryOf(resource) ? null : host;
+    }
+
+    /**
+     * Playback URL on the host its resource currently answers on
+     * @param {string} url
+     * @param {Array<Object>} resources
+     * @returns {string}
+     */
+    static follow(url, resources) {
+        if (!/^https?:/i.test(url || '')) return url;
+
+        for (const res of resources || []) {
+            const hosts = this.hostsOf(res);
+            if (hosts.length < 2) continue;
+
+            const current = hosts[0];
+            for (const host of hosts) {
+                const moved = this.swapHost(url, host, current);
+                if (moved !== url) return moved;
+            }
+        }
+        return url;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * CORS Proxy Chain
+ * Routes playlist, Xtream API and stream requests through user-configured proxies.
+ * Modes: 'off' (direct only), 'fallback' (direct first, then each proxy), 'always' (proxies only).
+ * A resource can override the mode and the proxy list; otherwise the app settings apply.
+ * Loaded in the parser worker too, where no appSettings exist: config is passed in explicitly there.
+ * Also hosts the header proxy helper for requests needing headers browsers refuse to send.
+ */
+
+const PROXY_MODES = ['off', 'fallback', 'always'];
+
+// Headers browsers will not let scripts set on requests
+const FORBIDDEN_HEADERS = ['user-agent', 'referer', 'origin', 'cookie', 'host'];
+
+class ProxyChain {
+    /**
+     * Effective proxy config for a resource
+     * @param {Object} [resource] - Resource with an optional proxy override { mode, urls }
+     * @returns {{mode: string, urls: string[]}}
+     */
+    static forResource(resource) {
+        const settings = typeof appSettings !== 'undefined' ? appSettings : {};
+        const override = (resource && resource.proxy) || {};
+
+        const mode = PROXY_MODES.includes(override.mode) ? override.mode : (settings.corsProxyMode || 'off');
+        const urls = (override.urls && override.urls.length) ? override.urls : (settings.corsProxyUrls || []);
+
+        return { mode, urls: urls.filter(Boolean) };
+    }
+
+    /**
+     * Split a textarea / comma separated list into proxy templates
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static parseList(text) {
+        return (text || '').split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+    }
+
+    /**
+     * Fill a proxy template
+     * {url} is replaced by the encoded target, {rawurl} by the target as-is.
+     * Templates without a placeholder get the encoded target appended.
+     */
+    static apply(template, url) {
+        if (template.includes('{rawurl}')) return template.replace('{rawurl}', url);
+        if (template.includes('{url}')) return template.replace('{url}', encodeURIComponent(url));
+        return template + encodeURIComponent(url);
+    }
+
+    /**
+     * Ordered list of URLs to try for a request
+     * @param {string} url
+     * @param {Object} config - { mode, urls }
+     * @returns {string[]}
+     */
+    static candidates(url, config) {
+        if (!config || config.mode === 'off' || !config.urls || config.urls.length === 0) return [url];
+        // Local files (blob:, data:) never go through a proxy
+        if (!/^https?:/i.test(url)) return [url];
+
+        const proxied = config.urls.map(template => this.apply(template, url));
+        return config.mode === 'always' ? proxied : [url, ...proxied];
+    }
+
+    /**
+     * Route a request through the configured header proxy (appSettings.headerProxyUrl)
+     * Template placeholders: {url} (encoded target URL), {headers} (encoded JSON)
+     * @returns {string} Proxied URL, or the URL unchanged when no proxy / no headers
+     */
+    static applyHeaderProxy(url, headers) {
+        const template = typeof appSettings !== 'undefined' ? appSettings.headerProxyUrl : '';
+        if (!template || !headers || Object.keys(headers).length === 0) return url;
+
+        const encodedUrl = encodeURIComponent(url);
+        const encodedHeaders = encodeURIComponent(JSON.stringify(headers));
+
+        if (!template.includes('{url}')) return template + encodedUrl;
+        return template.replace('{url}', encodedUrl).replace('{headers}', encodedHeaders);
+    }
+
+    /**
+     * Try each candidate until one answers
+     * @param {string} url
+     * @param {Object} config - { mode, urls }
+     * @param {Function} fetchFn - (candidateUrl, isProxy) => Promise<Response>
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Response>} First ok (or 304) response
+     * @throws {Error} The last failure; HTTP failures carry `status` and `retryAfter` (see RetryPolicy)
+     */
+    static async fetch(url, config, fetchFn, signal) {
+        const list = this.candidates(url, config);
+        let lastError = null;
+
+        for (let i = 0; i < list.length; i++) {
+            if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
+            const isProxy = list[i] !== url;
+
+            try {
+                const response = await fetchFn(list[i], isProxy);
+                if (response.ok || response.status === 304) return response;
+                lastError = new Error(`HTTP ${response.status}`);
+                lastError.status = response.status;
+                lastError.retryAfter = response.headers ? response.headers.get('Retry-After') : null;
+            } catch (e) {
+                if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
+                lastError = e;
+            }
+
+            if (i < list.length - 1) {
+                console.warn(`[ProxyChain] ${isProxy ? 'Proxy' : 'Direct'} request failed, trying next...`, lastError);
+            }
+        }
+
+        throw lastError || new Error('Network response was not ok');
+    }
+}
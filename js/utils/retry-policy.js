@@ -0,0 +1,87 @@
+/**
+ * Retry Policy
+ * Retries transient request failures with exponential backoff and jitter.
+ * Transient: network errors, timeouts and HTTP 408 / 425 / 429 / 5xx. A Retry-After header from the
+ * server (seconds or HTTP date, see ProxyChain.fetch errors) replaces the computed delay.
+ * Loaded in the parser worker too.
+ */
+
+const RETRY_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+class RetryPolicy {
+    /**
+     * Whether a failed request is worth repeating
+     * @param {Error} error - HTTP errors carry `status` (see ProxyChain.fetch)
+     */
+    static isRetryable(error) {
+        if (!error) return false;
+        if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+        // fetch() network failures are TypeErrors, our own timeouts abort the request
+        return error.name === 'TypeError' || error.name === 'AbortError' || error.name === 'TimeoutError';
+    }
+
+    /**
+     * Retry-After header value in milliseconds
+     * @param {string|null} value - Delay in seconds or an HTTP date
+     * @returns {number|null}
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait before retry number `attempt` (0-based)
+     * Half of the exponential delay is fixed, half random, so clients failing together spread out.
+     */
+    static delay(attempt, retryAfter = null) {
+        const requested = this.parseRetryAfter(retryAfter);
+        if (requested !== null) return Math.min(requested, RETRY_MAX_DELAY);
+
+        const exponential = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), RETRY_MAX_DELAY);
+        return exponential / 2 + Math.random() * exponential / 2;
+    }
+
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(id);
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            const id = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Run a request, repeating it on transient failures
+     * @param {Function} fn - (attempt) => Promise
+     * @param {Object} [options] - { signal, retries }
+     * @returns {Promise<*>} Result of the first successful attempt
+     */
+    static async run(fn, options = {}) {
+        const { signal, retries = RETRY_MAX_RETRIES } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn(attempt);
+            } catch (e) {
+                if (signal && signal.aborted) throw new DOMException('Aborted', 'AbortError');
+                if (attempt >= retries || !this.isRetryable(e)) throw e;
+
+                const wait = this.delay(attempt, e.retryAfter);
+                console.warn(`[RetryPolicy] ${e.message}, retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+                await this.sleep(wait, signal);
+            }
+        }
+    }
+}
@@ -46,7 +46,7 @@ const MIME_TYPES = {
     'mp4': 'video/mp4',
     'webm': 'video/webm',
     'mkv': 'video/webm',
-    'ts': 'application/x-mpegURL'
+    'ts': 'video/mp2t'
 };
 
 class VideoPlayerService {
@@ -54,6 +54,9 @@ class VideoPlayerService {
         this.player = null;
         this.activeContainer = null;
         this.infoContainer = null;
+        this.currentSource = null;
+        this.fallbackUrls = [];
+        this.resolveRequestId = 0;
         this.wrapperId = 'videojs-wrapper-' + Math.random().toString(36).substr(2, 9);
     }
 
@@ -94,12 +97,42 @@ class VideoPlayerService {
             return;
         }
 
+        // Favorites / progress entries store a credential placeholder instead of the login
+        if (CredentialVault.isMasked(item.url)) item = CredentialVault.resolveItem(item);
+
+        // Merged channels: remember every provider so playback can switch / fail over between them
+        if (item.sourceIndex === undefined && !item.resolvedUrl) {
+            this.sourceItem = (item.alternates && item.alternates.length) ? item : null;
+            this.sourceIndex = 0;
+        }
+        this.playArgs = { type, targetContainer, infoContainer };
+
+        // Portal items: fetch a fresh stream link first (links expire), then play it
+        if (StalkerClient.isStalkerUrl(item.url) && !item.resolvedUrl) {
+            const requestId = ++this.resolveRequestId;
+            StalkerClient.resolvePlaybackUrl(item.url)
+                .then(link => {
+                    if (requestId !== this.resolveRequestId) return;
+                    this.play({ ...item, resolvedUrl: link }, type, targetContainer, infoContainer, startTime);
+                })
+                .catch(e => {
+                    if (requestId !== this.resolveRequestId) return;
+                    console.error('[VideoPlayer] Portal link failed:', e);
+                    if (this._tryAlternateSource()) return;
+                    showToast('alert-circle', 'Could not get stream link from portal', 'error');
+                });
+            return;
+        }
+
         try {
             // 1. Resolve Media Source
-            const { url, mimeType } = this._resolveMedia(item.url, type);
+            const { resolvedUrl, sourceIndex, ...stableItem } = item;
+            const { url, mimeType, proxied, fallbacks } = this._resolveMedia(resolvedUrl || item.url, type, item);
             console.log(`[VideoPlayer] Playing: ${item.title || 'Unknown'} -> ${url}`);
 
-            this.currentItem = item;
+            // Progress is keyed on the stable URL, never on the short-lived portal link
+            // (nor on whichever provider of a merged channel is playing)
+            this.currentItem = this.sourceItem ? { ...stableItem, url: this.sourceItem.url } : stableItem;
             this.currentType = type;
             this.infoContainer = infoContainer;
             if (this.infoContainer) {
@@ -117,8 +150,16 @@ class VideoPlayerService {
 
             // 4. Load Source
             if (this.player) {
+                const source = { src: url, type: mimeType };
+                const keySystems = this._buildKeySystems(item.drm);
+                if (keySystems) source.keySystems = keySystems;
+
+                this.currentSource = source;
+                this.fallbackUrls = fallbacks;
+
                 this.player.ready(() => {
-                    this.player.src([{ src: url, type: mimeType }]);
+                    this._applyRequestHeaders(proxied ? null : item.headers);
+                    this.player.src([source]);
                     if (startTime > 0) {
                         this.player.currentTime(startTime);
                     }
@@ -137,6 +178,10 @@ class VideoPlayerService {
      * Stop playback and reset UI
      */
     stop() {
+        this.fallbackUrls = [];
+        this.resolveRequestId++;
+        this.sourceItem = null;
+
         if (this.player) {
             this.player.pause();
             this.player.currentTime(0);
@@ -192,6 +237,8 @@ class VideoPlayerService {
             // Initialize Video.js
             const videoEl = wrapper.querySelector('video');
             this.player = videojs(videoEl, PLAYER_OPTIONS);
+            // EME plugin (videojs-contrib-eme) handles DRM keySystems on sources
+            if (typeof this.player.eme === 'function') this.player.eme();
             this._setupEvents();
 
         } else if (wrapper.parentElement !== targetContainer) {
@@ -230,31 +277,15 @@ class VideoPlayerService {
             this._lastSave = now;
 
             if (this.currentItem && this.currentItem.url) {
-                try {
-                    const storeKey = 'watchnow_watch_progress';
-                    const data = JSON.parse(localStorage.getItem(storeKey) || '{}');
-
-                    data[this.currentItem.url] = {
-                        url: this.currentItem.url,
-                        title: this.currentItem.title,
-                        logo: this.currentItem.logo || null,
-                        season: this.currentItem.season || null,
-                        episode: this.currentItem.episode || null,
-                        item: this.currentItem, // Full item for card reconstruction
-                        type: this.currentType,
-                        time: time,
-                        duration: duration,
-                        lastWatched: now
-                    };
-
-                    localStorage.setItem(storeKey, JSON.stringify(data));
-                } catch (e) { console.error("Tracking Error", e); }
+                storageService.saveWatchProgress(this.currentItem, this.currentType, time, duration);
             }
         });
 
         this.player.on('error', () => {
             const err = this.player.error();
             console.error('[VideoPlayer] Error:', err);
+            if (this._tryFallbackSource()) return;
+            if (this._tryAlternateSource()) return;
             this._toggleLoading(false);
         });
 
@@ -287,20 +318,180 @@ class VideoPlayerService {
         }
     }
 
-    _resolveMedia(originalUrl, type) {
-        if (!originalUrl) return { url: '', mimeType: '' };
+    /**
+     * Internal: Pass per-stream headers (#EXTVLCOPT / #KODIPROP) to VHS segment requests.
+     * Browsers refuse forbidden headers (User-Agent, Referer...), those need the header proxy.
+     */
+    _applyRequestHeaders(headers) {
+        if (!window.videojs || !videojs.Vhs || !videojs.Vhs.xhr) return;
+
+        const allowed = {};
+        if (headers) {
+            Object.keys(headers).forEach(name => {
+                if (!FORBIDDEN_HEADERS.includes(name.toLowerCase())) allowed[name] = headers[name];
+            });
+        }
+
+        if (Object.keys(allowed).length === 0) {
+            videojs.Vhs.xhr.beforeRequest = null;
+            return;
+        }
+
+        videojs.Vhs.xhr.beforeRequest = (options) => {
+            options.headers = { ...(options.headers || {}), ...allowed };
+            return options;
+        };
+    }
+
+    /**
+     * Internal: Build videojs-contrib-eme keySystems from #KODIPROP DRM info
+     * @param {Object} drm - { type, key }
+     */
+    _buildKeySystems(drm) {
+        if (!drm || !drm.key) return null;
+
+        const type = drm.type || 'clearkey';
 
-        let url = originalUrl;
+        if (type === 'clearkey' || type === 'org.w3.clearkey') {
+            // License server URL
+            if (/^https?:\/\//i.test(drm.key)) {
+                return { 'org.w3.clearkey': { url: drm.key } };
+            }
+
+            const keys = this._parseClearKeys(drm.key);
+            if (keys.length === 0) return null;
+
+            // Answer license requests locally with a JWK set
+            return {
+                'org.w3.clearkey': {
+                    getLicense: (emeOptions, keyMessage, callback) => {
+                        const license = JSON.stringify({ keys, type: 'temporary' });
+                        callback(null, new TextEncoder().encode(license));
+                    }
+                }
+            };
+        }
+
+        if (type === 'com.widevine.alpha' || type === 'widevine') {
+            return { 'com.widevine.alpha': drm.key.split('|')[0] };
+        }
+
+        if (type === 'com.microsoft.playready' || type === 'playready') {
+            return { 'com.microsoft.playready': drm.key.split('|')[0] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Internal: Parse "kid:key,kid:key" (hex) or {"kid":"key"} ClearKey formats into JWKs
+     */
+    _parseClearKeys(raw) {
+        const pairs = [];
+
+        try {
+            if (raw.trim().startsWith('{')) {
+                const obj = JSON.parse(raw);
+                if (Array.isArray(obj.keys)) return obj.keys;
+                Object.keys(obj).forEach(kid => pairs.push([kid, obj[kid]]));
+            } else {
+                raw.split(',').forEach(pair => {
+                    const [kid, key] = pair.split(':');
+                    if (kid && key) pairs.push([kid.trim(), key.trim()]);
+                });
+            }
+        } catch (e) {
+            console.warn('[VideoPlayer] Invalid ClearKey license_key', e);
+            return [];
+        }
+
+        const toBase64Url = (value) => {
+            // Hex keys are converted, base64 keys are only re-encoded as base64url
+            let b64 = value;
+            if (/^[0-9a-f]+$/i.test(value) && value.length % 2 === 0) {
+                const bytes = value.match(/../g).map(h => parseInt(h, 16));
+                b64 = btoa(String.fromCharCode(...bytes));
+            }
+            return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        };
+
+        return pairs.map(([kid, key]) => ({ kty: 'oct', kid: toBase64Url(kid), k: toBase64Url(key) }));
+    }
+
+    /**
+     * Internal: Switch to the next CORS proxy candidate after a playback error
+     * @returns {boolean} true when a fallback source was loaded
+     */
+    _tryFallbackSource() {
+        if (!this.player || !this.currentSource || !this.fallbackUrls || this.fallbackUrls.length === 0) return false;
+
+        const next = this.fallbackUrls.shift();
+        console.warn(`[VideoPlayer] Retrying through proxy -> ${next}`);
+
+        this.player.error(null);
+        this.player.src([{ ...this.currentSource, src: next }]);
+        this.player.play().catch(e => {
+            console.warn("[VideoPlayer] Playback failed or was blocked:", e);
+        });
+        return true;
+    }
+
+    /**
+     * Play another provider of a merged channel
+     * @param {number} index - Position in ChannelMerger.sourcesOf(item), 0 = primary
+     * @returns {boolean} false when there is no such source
+     */
+    switchSource(index) {
+        const sources = this.sourceItem ? ChannelMerger.sourcesOf(this.sourceItem) : [];
+        const next = sources[index];
+        if (!next || !this.playArgs) return false;
+
+        const { type, targetContainer, infoContainer } = this.playArgs;
+        this.sourceIndex = index;
+        if (this.player) this.player.error(null);
+        this.play({
+            ...this.sourceItem,
+            url: next.url,
+            source: next.source,
+            resourceId: next.resourceId,
+            headers: next.headers,
+            drm: next.drm,
+            manifestType: next.manifestType,
+            sourceIndex: index
+        }, type, targetContainer, infoContainer);
+
+        if (typeof updateSourceSwitcher === 'function') updateSourceSwitcher(index);
+        return true;
+    }
+
+    /**
+     * Internal: Fail over to the next provider once every proxy of the current one failed
+     * @returns {boolean} true when another provider was loaded
+     */
+    _tryAlternateSource() {
+        if (!this.sourceItem) return false;
+
+        const sources = ChannelMerger.sourcesOf(this.sourceItem);
+        const next = this.sourceIndex + 1;
+        if (next >= sources.length) return false;
+
+        console.warn(`[VideoPlayer] Source failed, switching to ${sources[next].source}`);
+        showToast('refresh-cw', `Switching to ${sources[next].source}`, 'info');
+        return this.switchSource(next);
+    }
+
+    _resolveMedia(originalUrl, type, item = {}) {
+        if (!originalUrl) return { url: '', mimeType: '', proxied: false, fallbacks: [] };
+
+        // Streams follow the mirror host their resource last answered on
+        let url = MirrorHosts.follow(originalUrl, state.resources);
 
-        // Fix: Convert .ts to .m3u8 for HLS compatibility (EXCEPT for timeshift URLs)
         // Check for both path-based timeshift (/timeshift/) and PHP endpoint (/streaming/timeshift.php)
         const isTimeshiftUrl = url.includes('/timeshift/') || url.includes('/streaming/timeshift.php');
-        if (/\.ts($|\?)/i.test(url) && !isTimeshiftUrl) {
-            url = url.replace(/\.ts($|\?)/i, (match) => match.replace('.ts', '.m3u8'));
-        }
+
         // Fix: Ensure live streams have extensions (some servers need this)
         // Skip timeshift URLs as they handle streaming directly
-        else if ((type === 'live' || type === 'channels') && !isTimeshiftUrl && !/\.(m3u8|ts|mp4|mkv|mpd|php)($|\?)/i.test(url)) {
+        if ((type === 'live' || type === 'channels') && /^https?:/i.test(url) && !isTimeshiftUrl && !/\.(m3u8|ts|mp4|mkv|mpd|php)($|\?)/i.test(url)) {
             if (url.includes('?')) {
                 const parts = url.split('?');
                 url = `${parts[0]}.m3u8?${parts[1]}`;
@@ -309,13 +500,27 @@ class VideoPlayerService {
             }
         }
 
+        const mimeType = item.manifestType === 'mpd' ? MIME_TYPES.mpd : this._getMimeType(url);
+        const proxiedUrl = ProxyChain.applyHeaderProxy(url, item.headers);
+        if (proxiedUrl !== url) {
+            return { url: proxiedUrl, mimeType, proxied: true, fallbacks: [] };
+        }
+
+        // CORS proxy chain of the item's resource: first candidate plays, the rest are tried on error
+        const resource = findResource(item);
+        const candidates = ProxyChain.candidates(url, ProxyChain.forResource(resource));
+
         return {
-            url,
-            mimeType: this._getMimeType(url)
+            url: candidates[0],
+            mimeType,
+            proxied: false,
+            fallbacks: candidates.slice(1)
         };
     }
 
     _getMimeType(url) {
+        // Xtream RTMP output (native players only)
+        if (/^rtmp:/i.test(url)) return 'rtmp/mp4';
         const cleanUrl = url.split('?')[0];
         const ext = cleanUrl.split('.').pop().toLowerCase();
         return MIME_TYPES[ext] || 'application/x-mpegURL';
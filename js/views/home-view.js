@@ -80,21 +80,23 @@ function renderHomeView() {
             const percent = Math.min(100, Math.max(0, (prog.time / prog.duration) * 100));
 
             // Build clickItem for handleNestedMediaClick
-            // The progress data structure has: prog.item = playItem which contains item = { seriesId, seriesTitle, source }
+            // The progress data structure has: prog.item = playItem which contains item = { seriesId, seriesTitle, source, resourceId }
             const clickItem = { ...item };
 
             // For series: extract seriesId from the nested item object (prog.item.item)
-            // This is because playContent() stores metadata like: { type, item: { seriesId, seriesTitle, source } }
+            // This is because playContent() stores metadata like: { type, item: { seriesId, seriesTitle, source, resourceId } }
             const nestedItem = prog.item && prog.item.item;
 
             if (prog.type === 'series' && nestedItem && nestedItem.seriesId) {
                 clickItem.id = nestedItem.seriesId;
                 clickItem.title = nestedItem.seriesTitle || clickItem.title;
                 clickItem.source = nestedItem.source;
+                clickItem.resourceId = nestedItem.resourceId;
             } else if (prog.type === 'movies') {
                 // For movies: extract movieId from nested item
                 if (nestedItem && nestedItem.movieId) clickItem.id = nestedItem.movieId;
                 if (nestedItem && nestedItem.source) clickItem.source = nestedItem.source;
+                if (nestedItem && nestedItem.resourceId) clickItem.resourceId = nestedItem.resourceId;
             }
 
             const wrapper = MediaCard.create(item, type, {
@@ -3,6 +3,16 @@
  * Handles Live TV and Catchup view rendering and interactions.
  */
 
+/**
+ * Count shown next to a category; lazy categories not fetched yet get a "+" marker
+ * @param {string} dataKey - Key in state.aggregatedData
+ * @param {string} group
+ */
+function formatCategoryCount(dataKey, group) {
+    const count = (state.aggregatedData[dataKey][group] || []).length;
+    return playlistManager.hasPendingCategories(dataKey, group) ? `${count}+` : `${count}`;
+}
+
 function renderNestedLayout(viewId, dataGroups) {
     const container = document.getElementById(`${viewId}-rows`);
     container.innerHTML = '';
@@ -28,7 +38,7 @@ function renderNestedLayout(viewId, dataGroups) {
 
     // Populate Categories
     groups.forEach(group => {
-        const count = dataGroups[group].length;
+        const dataKey = VIEW_DATA_KEYS[viewId];
         const bucketType = (viewId === 'live' || viewId === 'catchup') ? 'channels' : viewId;
         const isFav = favoritesManager.isBucketFavorite(group, bucketType);
 
@@ -43,13 +53,25 @@ function renderNestedLayout(viewId, dataGroups) {
                 </span>
                 <span class="category-name">${group}</span>
             </div>
-            <span class="count-badge">${count}</span>
+            <span class="count-badge">${formatCategoryCount(dataKey, group)}</span>
         `;
 
-        btn.addEventListener('click', (e) => {
+        btn.addEventListener('click', async (e) => {
             categoriesList.querySelectorAll('.nested-list-item').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
-            handleNestedCategoryClick(viewId, group, dataGroups[group], itemsSidebar, contentArea);
+
+            // Lazy Xtream categories are fetched on first open
+            if (playlistManager.hasPendingCategories(dataKey, group)) {
+                const badge = btn.querySelector('.count-badge');
+                badge.innerHTML = '<div class="mini-spinner"></div>';
+                await playlistManager.loadLazyGroup(dataKey, group);
+                badge.textContent = formatCategoryCount(dataKey, group);
+
+                // Another category was opened meanwhile
+                if (!btn.classList.contains('active')) return;
+            }
+
+            handleNestedCategoryClick(viewId, group, state.aggregatedData[dataKey][group] || [], itemsSidebar, contentArea);
         });
 
         btn.addEventListener('keydown', (e) => {
@@ -229,21 +251,37 @@ async function loadCatchupEpg(item, contentArea) {
 
     listDiv.innerHTML = '<div class="spinner"></div>';
 
-    const resource = state.resources.find(r => r.name === item.source);
-    if (!resource || !resource.credentials) {
-        listDiv.innerHTML = '<div style="padding:10px;">Error: No credentials found for this stream.</div>';
+    const resource = findResource(item);
+    const isXtream = resource && resource.type === 'xtream' && resource.credentials;
+
+    if (!isXtream && !CatchupBuilder.isSupported(item)) {
+        listDiv.innerHTML = '<div style="padding:10px;">Error: No catchup configuration found for this stream.</div>';
         return;
     }
 
-    const { host, username, password } = resource.credentials;
-    const client = new XtreamClient(host, username, password);
-
     const channelId = item.id;
-    const channelTitle = item.title;
 
     try {
-        const epgData = await client.getEpg(channelId);
-        const listings = epgData.epg_listings || [];
+        let listings;
+        let buildArchiveUrl;
+
+        if (isXtream) {
+            const { host, username, password } = resource.credentials;
+            const client = XtreamClient.forResource(resource);
+
+            const epgData = await client.getEpg(channelId);
+            listings = epgData.epg_listings || [];
+
+            buildArchiveUrl = (startTs, endTs) => {
+                const durationMinutes = Math.floor((endTs - startTs) / 60);
+                const startFormatted = CatchupBuilder.formatDate(startTs, 'Y-m-d:H-M');
+                return `${host}/timeshift/${username}/${password}/${durationMinutes}/${startFormatted}/${channelId}.m3u8`;
+            };
+        } else {
+            // M3U catchup: no guide data yet, offer hourly archive slots
+            listings = CatchupBuilder.generateSlots(item);
+            buildArchiveUrl = (startTs, endTs) => CatchupBuilder.buildUrl(item, startTs, endTs);
+        }
 
         if (listings.length === 0) {
             listDiv.innerHTML = '<div style="padding:10px;">No catchup programs available.</div>';
@@ -310,22 +348,18 @@ async function loadCatchupEpg(item, contentArea) {
             progEl.querySelector('.c-title').textContent = title;
 
             progEl.addEventListener('click', async () => {
-                const durationSeconds = endTs - startTs;
-                const durationMinutes = Math.floor(durationSeconds / 60);
-
-                const y = date.getFullYear();
-                const m = String(date.getMonth() + 1).padStart(2, '0');
-                const d = String(date.getDate()).padStart(2, '0');
-                const H = String(date.getHours()).padStart(2, '0');
-                const M = String(date.getMinutes()).padStart(2, '0');
-                const startFormatted = `${y}-${m}-${d}:${H}-${M}`;
-
-                const url = `${host}/timeshift/${username}/${password}/${durationMinutes}/${startFormatted}/${channelId}.m3u8`;
+                const url = buildArchiveUrl(startTs, endTs);
+                if (!url) {
+                    showToast('alert-circle', 'Unable to build catchup URL', 'error');
+                    return;
+                }
 
                 const playerContainer = contentArea.querySelector('#nested-player-container');
                 VideoPlayer.play({
                     url: url,
-                    title: `[Catch Up] ${prog.title}`
+                    title: `[Catch Up] ${prog.title}`,
+                    headers: item.headers,
+                    drm: item.drm
                 }, 'live', playerContainer);
             });
 
@@ -5,6 +5,47 @@
 
 function setupSettings() {
 
+    // Header Proxy
+    const headerProxyInput = document.getElementById('header-proxy-input');
+    if (headerProxyInput) {
+        headerProxyInput.value = appSettings.headerProxyUrl || '';
+        headerProxyInput.addEventListener('change', () => {
+            appSettings.headerProxyUrl = headerProxyInput.value.trim();
+            saveAppSettings();
+            showToast('check', 'Settings saved', 'success');
+        });
+    }
+
+    // CORS Proxy Chain
+    const proxyModeSelect = document.getElementById('cors-proxy-mode');
+    const proxyUrlsInput = document.getElementById('cors-proxy-urls');
+    if (proxyModeSelect && proxyUrlsInput) {
+        proxyModeSelect.value = appSettings.corsProxyMode || 'off';
+        proxyUrlsInput.value = (appSettings.corsProxyUrls || []).join('\n');
+
+        const saveProxySettings = () => {
+            appSettings.corsProxyMode = proxyModeSelect.value;
+            appSettings.corsProxyUrls = ProxyChain.parseList(proxyUrlsInput.value);
+            saveAppSettings();
+            showToast('check', 'Settings saved', 'success');
+        };
+        proxyModeSelect.addEventListener('change', saveProxySettings);
+        proxyUrlsInput.addEventListener('change', saveProxySettings);
+    }
+
+    // Details Prefetch
+    const prefetchToggle = document.getElementById('prefetch-details-toggle');
+    if (prefetchToggle) {
+        prefetchToggle.classList.toggle('active', !!appSettings.prefetchDetails);
+
+        const togglePrefetch = () => {
+            appSettings.prefetchDetails = !appSettings.prefetchDetails;
+            prefetchToggle.classList.toggle('active', appSettings.prefetchDetails);
+            saveAppSettings();
+            showToast('check', 'Settings saved', 'success');
+        };
+        prefetchToggle.addEventListener('click', togglePrefetch);
+    }
 
     // Reset Button
     const resetBtn = document.getElementById('reset-app-btn');
@@ -178,7 +219,11 @@ function toggleFavorite(item, type, buttonElement) {
 function updateFavoriteButtonsForItem(item, type) {
     const isFav = favoritesManager.isItemFavorite(item, type);
 
-    document.querySelectorAll(`.card[data-url="${CSS.escape(item.url)}"] .favorite-btn`).forEach(btn => {
+    // Cards built from stored favorites carry the masked URL
+    const urls = [...new Set([item.url, CredentialVault.maskUrl(item.url)])];
+    const matching = (prefix, suffix) => urls.map(url => `${prefix}[data-url="${CSS.escape(url)}"] ${suffix}`).join(', ');
+
+    document.querySelectorAll(matching('.card', '.favorite-btn')).forEach(btn => {
         if (isFav) {
             btn.classList.add('active');
             btn.innerHTML = '<i data-lucide="star" style="fill: currentColor;"></i>';
@@ -191,7 +236,7 @@ function updateFavoriteButtonsForItem(item, type) {
         lucide.createIcons({ root: btn });
     });
 
-    document.querySelectorAll(`.nested-list-item[data-url="${CSS.escape(item.url)}"] .favorite-icon-container`).forEach(container => {
+    document.querySelectorAll(matching('.nested-list-item', '.favorite-icon-container')).forEach(container => {
         if (isFav) {
             container.innerHTML = '<i data-lucide="star" style="width:20px; height:20px; color:#ffb020; fill:currentColor;"></i>';
             container.style.marginRight = '8px';
@@ -22,23 +22,32 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
     let panel = contentArea.querySelector('.vod-detail-panel');
 
     // Resource Lookup
-    const resource = state.resources.find(r => r.name === item.source);
+    const resource = findResource(item);
     let extraInfo = {};
     let episodes = {};
 
     if (resource && resource.type === 'xtream' && resource.credentials) {
-        const client = new XtreamClient(resource.credentials.host, resource.credentials.username, resource.credentials.password);
+        // Cached details render right away (see DetailService)
         try {
             if (type === 'movies') {
-                const info = await client.getVodInfo(item.id);
-                extraInfo = info.movie_data || {};
+                const info = await detailService.get(resource, type, item.id);
+                extraInfo = { ...(info.movie_data || {}) };
                 extraInfo.info = info.info || {};
             } else if (type === 'series') {
-                const info = await client.getSeriesInfo(item.id);
+                const info = await detailService.get(resource, type, item.id);
                 extraInfo = info.info || {};
                 episodes = info.episodes || {};
             }
         } catch (e) { console.error("Failed to fetch details", e); }
+    } else if (type === 'series' && resource && resource.type === 'stalker' && resource.credentials) {
+        // Portal seasons are only listed on demand (older portals list episodes inline)
+        try {
+            episodes = item.seasons || await StalkerClient.forResource(resource).getSeriesInfo(item.id);
+        } catch (e) { console.error("Failed to fetch seasons", e); }
+    } else if (type === 'series') {
+        // M3U shows folded by PlaylistParser.groupSeries (favorites/continue watching only keep the id)
+        const show = item.seasons ? item : findM3uShow(item.id);
+        if (show) episodes = show.seasons;
     }
 
     if (existingGrid) existingGrid.style.display = 'none';
@@ -188,6 +197,12 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
     };
 
     if (isSeries) {
+        // Provider episode ids are unique; M3U episodes only carry their tvg-id, often shared by the whole show
+        const isM3uShow = !resource || (resource.type !== 'xtream' && resource.type !== 'stalker');
+        const episodeKeyOf = (ep, seasonNum) => isM3uShow
+            ? `${item.id}:s${seasonNum}e${ep.episode_num}:${ChannelMerger.normalizeTitle(ep.title)}`
+            : ep.id;
+
         const seasonTabsContainer = panel.querySelector('#season-tabs');
         const episodesList = panel.querySelector('#episodes-list');
         const seasons = Object.keys(episodes).sort((a, b) => parseInt(a) - parseInt(b));
@@ -200,7 +215,7 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
                 const epItem = document.createElement('div');
                 epItem.className = 'episode-card-vertical focusable';
                 epItem.tabIndex = 0;
-                const epImg = (ep.info && ep.info.movie_image) || (ep.info && ep.info.cover) || '';
+                const epImg = (ep.info && ep.info.movie_image) || (ep.info && ep.info.cover) || ep.logo || '';
                 const duration = (ep.info && ep.info.duration) || '';
 
                 let displayDuration = duration;
@@ -211,34 +226,30 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
                     }
                 }
 
-                const epUrl = `${resource.credentials.host}/series/${resource.credentials.username}/${resource.credentials.password}/${ep.id}.${ep.container_extension || 'mp4'}`;
+                const epUrl = ep.url || `${resource.credentials.host}/series/${resource.credentials.username}/${resource.credentials.password}/${ep.id}.${ep.container_extension || 'mp4'}`;
                 let progressTag = '';
-                try {
-                    const progressRaw = localStorage.getItem('watchnow_watch_progress');
-                    if (progressRaw) {
-                        const progress = JSON.parse(progressRaw);
-                        if (progress[epUrl]) {
-                            const p = progress[epUrl];
-                            if (p.duration && p.time) {
-                                const remaining = p.duration - p.time;
-                                const watched = p.time;
-
-                                // Logic matching Home View Continue Watching:
-                                // - Must have watched at least 120s (2 mins)
-                                // - Continue Watching IF remaining >= 300s (5 mins)
-                                // - Watched IF remaining < 300s (and meets the watched threshold)
-
-                                if (watched >= 120) {
-                                    if (remaining < 300) {
-                                        progressTag = '<div class="ep-progress-tags"><div class="ep-tag tag-watched">Watched</div></div>';
-                                    } else {
-                                        progressTag = '<div class="ep-progress-tags"><div class="ep-tag tag-continue">Continue Watching</div></div>';
-                                    }
-                                }
+                // Same shape as the episode's playback item (see below), so its content key matches
+                const epRef = { url: epUrl, item: { episodeId: episodeKeyOf(ep, seasonNum), resourceId: item.resourceId } };
+                const p = storageService.getWatchProgress(epRef, 'series');
+                if (p) {
+                    if (p.duration && p.time) {
+                        const remaining = p.duration - p.time;
+                        const watched = p.time;
+
+                        // Logic matching Home View Continue Watching:
+                        // - Must have watched at least 120s (2 mins)
+                        // - Continue Watching IF remaining >= 300s (5 mins)
+                        // - Watched IF remaining < 300s (and meets the watched threshold)
+
+                        if (watched >= 120) {
+                            if (remaining < 300) {
+                                progressTag = '<div class="ep-progress-tags"><div class="ep-tag tag-watched">Watched</div></div>';
+                            } else {
+                                progressTag = '<div class="ep-progress-tags"><div class="ep-tag tag-continue">Continue Watching</div></div>';
                             }
                         }
                     }
-                } catch (e) { }
+                }
 
                 epItem.innerHTML = `
                     <div class="episode-thumbnail">
@@ -259,29 +270,27 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
                     episodesList.querySelectorAll('.episode-card-vertical').forEach(e => e.classList.remove('active'));
                     epItem.classList.add('active');
 
-                    const epUrl = `${resource.credentials.host}/series/${resource.credentials.username}/${resource.credentials.password}/${ep.id}.${ep.container_extension || 'mp4'}`;
+                    const epUrl = ep.url || `${resource.credentials.host}/series/${resource.credentials.username}/${resource.credentials.password}/${ep.id}.${ep.container_extension || 'mp4'}`;
 
                     let epStartPos = 0;
-                    try {
-                        const progressRaw = localStorage.getItem('watchnow_watch_progress');
-                        if (progressRaw) {
-                            const progress = JSON.parse(progressRaw);
-                            if (progress[epUrl]) {
-                                epStartPos = progress[epUrl].time || 0;
-                            }
-                        }
-                    } catch (e) { }
+                    const p = storageService.getWatchProgress(epRef, 'series');
+                    if (p) {
+                        epStartPos = p.time || 0;
+                    }
 
                     playContent(epUrl, ep.title, {
                         type: 'series',
                         item: {
                             seriesId: item.id,
                             seriesTitle: item.title,
-                            episodeId: ep.id,
-                            source: item.source
+                            episodeId: episodeKeyOf(ep, seasonNum),
+                            source: item.source,
+                            resourceId: item.resourceId
                         },
                         season: seasonNum,
-                        episode: ep.episode_num
+                        episode: ep.episode_num,
+                        headers: ep.headers,
+                        drm: ep.drm
                     }, '#nested-player-container', epStartPos);
                 });
 
@@ -330,7 +339,9 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
         // Movie Play Button
         const playBtn = panel.querySelector('.play-now-btn');
         if (playBtn) {
-            const movieStreamUrl = `${(resource && resource.credentials && resource.credentials.host) || ''}/movie/${(resource && resource.credentials && resource.credentials.username) || ''}/${(resource && resource.credentials && resource.credentials.password) || ''}/${item.id}.${ext || 'mp4'}`;
+            const movieStreamUrl = (resource && resource.type === 'xtream' && resource.credentials)
+                ? `${resource.credentials.host}/movie/${resource.credentials.username}/${resource.credentials.password}/${item.id}.${ext || 'mp4'}`
+                : item.url;
             const startPos = startTime || 0;
 
             playBtn.addEventListener('click', () => {
@@ -338,7 +349,8 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
                     type: 'movies',
                     item: {
                         movieId: item.id,
-                        source: item.source
+                        source: item.source,
+                        resourceId: item.resourceId
                     }
                 }, '#nested-player-container', startPos);
             });
@@ -363,3 +375,14 @@ async function handleNestedMediaClick(item, type, cardElement, options = {}) {
     setTimeout(setInitialFocus, 250);
     setTimeout(setInitialFocus, 500);
 }
+
+// Find a folded M3U show in the aggregated series data by its id
+function findM3uShow(id) {
+    if (!id) return null;
+    const groups = state.aggregatedData.series || {};
+    for (const group in groups) {
+        const found = groups[group].find(s => s.id === id && s.seasons);
+        if (found) return found;
+    }
+    return null;
+}
@@ -0,0 +1,61 @@
+/**
+ * Playlist Parser Worker
+ * Runs playlist download, parsing (M3U, PLS, XSPF, JSON), name cleaning and batching off the UI thread.
+ * Batches are posted back to the page for IndexedDB writes.
+ *
+ * Messages in:  { type: 'parse', url, rules, validators, proxy, hosts } | { type: 'batch-ack', batchId }
+ * Messages out: { type: 'progress', stats } | { type: 'batch', batchId, items }
+ *               { type: 'done', result } | { type: 'error', name, message }
+ */
+
+const PAKO_URL = 'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js';
+
+importScripts('../utils/gzip.js', '../utils/proxy-chain.js', '../utils/retry-policy.js', '../utils/mirror-hosts.js', '../name-processor.js', '../catchup-builder.js', '../playlist-formats.js', '../parser.js');
+
+// Inflater fallback for engines without DecompressionStream
+if (typeof DecompressionStream === 'undefined') {
+    try {
+        importScripts(PAKO_URL);
+    } catch (e) {
+        console.warn('[ParserWorker] pako unavailable, gzip playlists will fail', e);
+    }
+}
+
+const pendingAcks = {};
+let nextBatchId = 0;
+
+// Wait for the page to persist a batch before parsing further (keeps memory flat)
+const postBatch = (items) => new Promise(resolve => {
+    const batchId = nextBatchId++;
+    pendingAcks[batchId] = resolve;
+    self.postMessage({ type: 'batch', batchId, items });
+});
+
+self.onmessage = async (e) => {
+    const msg = e.data || {};
+
+    if (msg.type === 'batch-ack') {
+        const resolve = pendingAcks[msg.batchId];
+        if (resolve) {
+            delete pendingAcks[msg.batchId];
+            resolve();
+        }
+        return;
+    }
+
+    if (msg.type === 'parse') {
+        try {
+            const parser = new PlaylistParser({ rules: msg.rules });
+            const result = await parser.parseFromUrl(msg.url, {
+                onProgress: (stats) => self.postMessage({ type: 'progress', stats: { ...stats } }),
+                onBatch: postBatch,
+                validators: msg.validators,
+                proxy: msg.proxy,
+                hosts: msg.hosts
+            });
+            self.postMessage({ type: 'done', result });
+        } catch (err) {
+            self.postMessage({ type: 'error', name: err.name, message: err.message });
+        }
+    }
+};
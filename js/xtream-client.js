@@ -1,12 +1,92 @@
+// Live output formats by preference order for 'auto' (HLS plays everywhere, RTMP needs a native player)
+const XTREAM_OUTPUT_FORMATS = ['m3u8', 'ts', 'rtmp'];
+
+// Account statuses that refuse a login (Expired is reported on its own, Unauthorized = auth 0)
+const XTREAM_BLOCKED_STATUSES = ['banned', 'disabled', 'unauthorized'];
+
+// Credential checks should fail fast, a full sync keeps the longer default
+const XTREAM_AUTH_TIMEOUT = 15000;
+
+// Paths users paste along with the server address (M3U / EPG links, API endpoint)
+const XTREAM_ENDPOINT_PATH = /\/(player_api|get|xmltv|panel_api)\.php$/i;
+
 class XtreamClient {
-    constructor(baseUrl, username, password) {
+    /**
+     * @param {string} baseUrl
+     * @param {string} username
+     * @param {string} password
+     * @param {Object} [options] - { proxy, streamFormat, account, mirrors, activeHost, onHostChange }
+     *   proxy: CORS proxy config, defaults to the app settings
+     *   streamFormat: 'auto' | 'm3u8' | 'ts' | 'rtmp' live output preference
+     *   account: last known account info (allowed formats, RTMP port)
+     *   mirrors / activeHost: other server URLs of the same account, the one that answered last
+     *   onHostChange(host): API requests moved to another host
+     */
+    constructor(baseUrl, username, password, options = {}) {
         this.baseUrl = baseUrl;
         this.username = username;
         this.password = password;
-        this.authUrl = `${this.baseUrl}/player_api.php?username=${this.username}&password=${this.password}`;
+        this.proxy = options.proxy || ProxyChain.forResource(null);
+        this.streamFormat = options.streamFormat || 'auto';
+        this.account = options.account || null;
+        // API hosts in order of preference; stream URLs stay on baseUrl (the player follows the working host)
+        this.hosts = MirrorHosts.order(baseUrl, options.mirrors, options.activeHost);
+        this.onHostChange = options.onHostChange || null;
+    }
+
+    // Client configured from a saved resource
+    static forResource(resource) {
+        const { host, username, password } = resource.credentials;
+        return new XtreamClient(host, username, password, {
+            proxy: ProxyChain.forResource(resource),
+            streamFormat: resource.streamFormat,
+            account: resource.account,
+            mirrors: resource.mirrors,
+            activeHost: resource.activeHost,
+            onHostChange: (host) => MirrorHosts.remember(resource, host)
+        });
+    }
+
+    /**
+     * Normalize a server address typed by the user
+     * Adds the scheme (https when port 443 is given), drops default ports, trailing slashes,
+     * query strings and pasted endpoint paths: "Example.com:80/get.php?username=.." -> "http://example.com"
+     * @param {string} input
+     * @returns {string}
+     * @throws {Error} When the address cannot be parsed
+     */
+    static normalizeHost(input) {
+        let host = (input || '').trim();
+        if (!/^https?:\/\//i.test(host)) {
+            host = (/^[^/]+:443(\/|$)/.test(host) ? 'https://' : 'http://') + host;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(host);
+        } catch (e) {
+            throw new Error('Server URL is not valid');
+        }
+        if (!parsed.hostname) throw new Error('Server URL is not valid');
+
+        // URL already lowercases the host and drops :80 / :443 for their scheme
+        const path = parsed.pathname.replace(/\/+$/, '').replace(XTREAM_ENDPOINT_PATH, '');
+        return `${parsed.protocol}//${parsed.host}${path}`;
+    }
+
+    // Error carrying a reason code for the UI: 'unreachable', 'invalid_response', 'credentials', 'expired', 'disabled'
+    static authError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
     }
 
+    // Direct request first, then the configured CORS proxies
     async fetchWithTimeout(url, options = {}) {
+        return ProxyChain.fetch(url, this.proxy, (target) => this.fetchOnce(target, options), options.signal);
+    }
+
+    async fetchOnce(url, options = {}) {
         const { timeout = 30000, signal } = options;
         const controller = new AbortController();
 
@@ -35,29 +115,166 @@ class XtreamClient {
         }
     }
 
+    apiUrl(host) {
+        return `${host}/player_api.php?username=${this.username}&password=${this.password}`;
+    }
+
+    /**
+     * player_api.php request: working host first, then the primary and the mirrors, each with retries
+     * @param {string} query - Appended to the API URL ("&action=...")
+     * @param {Object} [options] - { signal, timeout, retries }
+     * @returns {Promise<Response>}
+     */
+    requestApi(query, options = {}) {
+        return MirrorHosts.fetch(this.hosts, (host) => this.fetchWithTimeout(this.apiUrl(host) + query, options), {
+            signal: options.signal,
+            retries: options.retries,
+            onHostChange: (host) => {
+                this.hosts = [host, ...this.hosts.filter(h => h !== host)];
+                if (this.onHostChange) this.onHostChange(host);
+            }
+        });
+    }
+
     async fetchJson(action, params = {}, signal = null) {
-        let url = `${this.authUrl}&action=${action}`;
+        let query = `&action=${action}`;
         for (const [key, value] of Object.entries(params)) {
-            url += `&${key}=${encodeURIComponent(value)}`;
+            query += `&${key}=${encodeURIComponent(value)}`;
         }
 
+        const res = await this.requestApi(query, { signal });
+        return res.json();
+    }
+
+    /**
+     * Check the credentials against player_api.php (no action returns the account info)
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>} Raw response; the parsed account is kept in this.account
+     * @throws {Error} With a `code` from XtreamClient.authError
+     */
+    async authenticate(signal = null) {
+        let response;
         try {
-            const res = await this.fetchWithTimeout(url, { signal });
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            return await res.json();
+            // One retry only: the user is waiting on the modal
+            response = await this.requestApi('', { signal, timeout: XTREAM_AUTH_TIMEOUT, retries: 1 });
         } catch (e) {
-            if (e.name === 'AbortError') throw e; // Propagate abort immediately
-            throw e;
+            if (signal && signal.aborted) throw e;
+            if (e.status === 401 || e.status === 403) {
+                throw XtreamClient.authError('credentials', 'Wrong username or password');
+            }
+            const reason = e.name === 'AbortError' ? 'no answer in time' : e.message;
+            throw XtreamClient.authError('unreachable', `Cannot reach the server (${reason}). Check the address and port.`);
+        }
+
+        const text = await response.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            const what = /^\s*</.test(text) ? 'a web page' : 'an unexpected response';
+            throw XtreamClient.authError('invalid_response', `The server returned ${what} instead of Xtream data. Check the URL, scheme and port.`);
         }
+
+        // Panels answer bad logins with auth: 0, an empty user_info or an empty array
+        if (!data || !data.user_info || String(data.user_info.auth) !== '1') {
+            throw XtreamClient.authError('credentials', 'Wrong username or password');
+        }
+
+        const account = XtreamClient.parseAccountInfo(data);
+        if (account.status === 'Expired' || (account.expDate && account.expDate <= Date.now())) {
+            const since = account.expDate ? ` on ${new Date(account.expDate).toLocaleDateString()}` : '';
+            throw XtreamClient.authError('expired', `Subscription expired${since}`);
+        }
+        // Panels omitting user_info.status report 'Unknown': a login with auth 1 is fine then
+        if (XTREAM_BLOCKED_STATUSES.includes(account.status.toLowerCase())) {
+            throw XtreamClient.authError('disabled', `Account is ${account.status.toLowerCase()}`);
+        }
+
+        this.account = account;
+        return data;
+    }
+
+    /**
+     * Account and server details (player_api.php without an action)
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>} See XtreamClient.parseAccountInfo
+     */
+    async getAccountInfo(signal = null) {
+        const res = await this.fetchJson('', {}, signal);
+        this.account = XtreamClient.parseAccountInfo(res);
+        return this.account;
+    }
+
+    /**
+     * Live format to request: the preference when the account allows it, otherwise the first allowed one
+     * @param {string} preference - 'auto' | 'm3u8' | 'ts' | 'rtmp'
+     * @param {string[]} [allowed] - user_info.allowed_output_formats (empty = unknown, anything goes)
+     * @returns {string}
+     */
+    static pickOutputFormat(preference, allowed = []) {
+        const usable = (allowed || []).map(f => String(f).toLowerCase()).filter(f => XTREAM_OUTPUT_FORMATS.includes(f));
+        const isAllowed = (format) => usable.length === 0 || usable.includes(format);
+
+        if (preference && preference !== 'auto' && isAllowed(preference)) return preference;
+        return XTREAM_OUTPUT_FORMATS.find(f => f !== 'rtmp' && isAllowed(f)) || usable[0] || 'm3u8';
     }
 
-    async authenticate() {
-        // Just calling the base URL returns auth info
-        const res = await this.fetchJson('');
-        if (res.user_info && res.user_info.auth === 1) {
-            return res;
+    outputFormat() {
+        return XtreamClient.pickOutputFormat(this.streamFormat, this.account && this.account.allowedFormats);
+    }
+
+    liveUrl(streamId, format = this.outputFormat()) {
+        if (format === 'rtmp') {
+            const host = this.baseUrl.replace(/^https?:\/\//i, '').replace(/:\d+$/, '');
+            const port = this.account && this.account.rtmpPort ? `:${this.account.rtmpPort}` : '';
+            return `rtmp://${host}${port}/live/${this.username}/${this.password}/${streamId}`;
         }
-        throw new Error('Authentication Failed');
+        return `${this.baseUrl}/live/${this.username}/${this.password}/${streamId}.${format}`;
+    }
+
+    /**
+     * Rebuild live URLs of already stored data (format preference or allowed formats changed)
+     * @param {Object} data - { channels, catchup } groups
+     * @returns {boolean} true when a URL changed
+     */
+    applyLiveFormat(data) {
+        const format = this.outputFormat();
+        let changed = false;
+
+        ['channels', 'catchup'].forEach(cat => {
+            Object.values((data && data[cat]) || {}).forEach(items => items.forEach(item => {
+                if (item.id === undefined || item.id === null) return;
+                const url = this.liveUrl(item.id, format);
+                if (item.url !== url) {
+                    item.url = url;
+                    changed = true;
+                }
+            }));
+        });
+        return changed;
+    }
+
+    /**
+     * Normalize user_info / server_info (panels mix strings and numbers)
+     * @returns {{status, expDate, maxConnections, activeConnections, isTrial, allowedFormats, timezone, rtmpPort, checkedAt}}
+     */
+    static parseAccountInfo(response) {
+        const user = (response && response.user_info) || {};
+        const server = (response && response.server_info) || {};
+        const expDate = parseInt(user.exp_date, 10);
+
+        return {
+            status: String(user.auth) === '0' ? 'Unauthorized' : (user.status || 'Unknown'),
+            // null = no expiry
+            expDate: expDate > 0 ? expDate * 1000 : null,
+            maxConnections: parseInt(user.max_connections, 10) || null,
+            activeConnections: parseInt(user.active_cons, 10) || 0,
+            isTrial: String(user.is_trial) === '1',
+            allowedFormats: Array.isArray(user.allowed_output_formats) ? user.allowed_output_formats : [],
+            timezone: server.timezone || null,
+            rtmpPort: parseInt(server.rtmp_port, 10) || null,
+            checkedAt: Date.now()
+        };
     }
 
     async fetchAll(signal = null) {
@@ -75,26 +292,19 @@ class XtreamClient {
         };
 
         // Parallel Fetching of Categories
-        // We catch errors per request so one failure doesn't break all, 
-        // BUT if it's an AbortError, we should arguably stop everything.
-        // However, Promise.all will reject immediately if one rejects.
-        // Let's ensure we propagate AbortError.
-
-        const fetchCat = (action) => this.fetchJson(action, {}, signal).catch(e => {
-            if (e.name === 'AbortError') throw e;
-            return [];
-        });
-
+        // Requests are retried (and moved to mirror hosts) inside fetchJson. A request still failing
+        // after that fails the whole sync: the previous data is kept instead of being replaced by an empty list.
         const [liveCats, vodCats, serCats] = await Promise.all([
-            fetchCat('get_live_categories'),
-            fetchCat('get_vod_categories'),
-            fetchCat('get_series_categories')
+            this.fetchJson('get_live_categories', {}, signal),
+            this.fetchJson('get_vod_categories', {}, signal),
+            this.fetchJson('get_series_categories', {}, signal)
         ]);
 
         console.log('Fetched Categories (Live):', liveCats);
         console.log('Fetched Categories (VOD):', vodCats);
         console.log('Fetched Categories (Series):', serCats);
 
+        const liveFormat = this.outputFormat();
         const liveCatMap = this.mapCategories(liveCats);
         const vodCatMap = this.mapCategories(vodCats);
         const serCatMap = this.mapCategories(serCats);
@@ -111,26 +321,12 @@ class XtreamClient {
                     const catName = liveCatMap[stream.category_id] || 'Uncategorized';
                     if (!data.channels[catName]) data.channels[catName] = [];
 
-                    const processed = NameProcessor.process(stream.name);
-                    const channelItem = {
-                        title: processed.title,
-                        rawTitle: stream.name, // Keep original just in case
-                        badges: processed.badges || [],
-                        logo: stream.stream_icon,
-                        group: catName,
-                        url: `${this.baseUrl}/live/${this.username}/${this.password}/${stream.stream_id}.ts`,
-                        id: stream.stream_id,
-                        epg_id: stream.epg_channel_id,
-                        tv_archive: stream.tv_archive,
-                        tv_archive_duration: stream.tv_archive_duration
-                    };
-
+                    const channelItem = this.mapLiveStream(stream, catName, liveFormat);
                     data.channels[catName].push(channelItem);
                     stats.channels++;
 
                     // Catchup Logic
                     if (stream.tv_archive == 1) {
-                        if (!channelItem.badges.includes('CATCHUP')) channelItem.badges.push('CATCHUP');
                         if (!data.catchup[catName]) data.catchup[catName] = [];
                         data.catchup[catName].push(channelItem);
                         stats.catchup++;
@@ -139,7 +335,7 @@ class XtreamClient {
             }
         } catch (e) {
             if (e.name === 'AbortError') throw e;
-            console.error("Error fetching live streams", e);
+            throw new Error(`Live streams unavailable: ${e.message}`);
         }
 
         // 2. VOD
@@ -151,25 +347,13 @@ class XtreamClient {
                     const catName = vodCatMap[stream.category_id] || 'Uncategorized';
                     if (!data.movies[catName]) data.movies[catName] = [];
 
-                    const ext = stream.container_extension || 'mp4';
-                    const processed = NameProcessor.process(stream.name);
-                    data.movies[catName].push({
-                        title: processed.title,
-                        rawTitle: stream.name,
-                        badges: processed.badges,
-                        logo: stream.stream_icon,
-                        group: catName,
-                        url: `${this.baseUrl}/movie/${this.username}/${this.password}/${stream.stream_id}.${ext}`,
-                        id: stream.stream_id,
-                        rating: stream.rating,
-                        releaseDate: stream.releaseDate || stream.release_date || null
-                    });
+                    data.movies[catName].push(this.mapVodStream(stream, catName));
                     stats.movies++;
                 });
             }
         } catch (e) {
             if (e.name === 'AbortError') throw e;
-            console.error("Error fetching vod streams", e);
+            throw new Error(`VOD streams unavailable: ${e.message}`);
         }
 
         // 3. Series
@@ -181,30 +365,128 @@ class XtreamClient {
                     const catName = serCatMap[series.category_id] || 'Uncategorized';
                     if (!data.series[catName]) data.series[catName] = [];
 
-                    const processed = NameProcessor.process(series.name);
-                    data.series[catName].push({
-                        title: processed.title,
-                        rawTitle: series.name,
-                        badges: processed.badges,
-                        logo: series.cover,
-                        group: catName,
-                        id: series.series_id,
-                        isSeries: true, // Marker for UI to handle click differently
-                        rating: series.rating,
-                        releaseDate: series.releaseDate || series.release_date || series.last_modified || null
-                        // No direct URL for series
-                    });
+                    data.series[catName].push(this.mapSeries(series, catName));
                     stats.series++;
                 });
             }
         } catch (e) {
             if (e.name === 'AbortError') throw e;
-            console.error("Error fetching series", e);
+            throw new Error(`Series unavailable: ${e.message}`);
         }
 
         return { data, stats };
     }
 
+    // --- Lazy Mode (very large providers) ---
+
+    /**
+     * Category lists only, streams are fetched per category later (see fetchCategory)
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>} { channels, movies, series } lists of { id, name }
+     */
+    async fetchCategoryLists(signal = null) {
+        const [liveCats, vodCats, serCats] = await Promise.all([
+            this.fetchJson('get_live_categories', {}, signal),
+            this.fetchJson('get_vod_categories', {}, signal),
+            this.fetchJson('get_series_categories', {}, signal)
+        ]);
+
+        const toList = (cats) => (Array.isArray(cats) ? cats : []).map(c => ({
+            id: String(c.category_id),
+            name: NameProcessor.processCategory(c.category_name)
+        }));
+
+        return { channels: toList(liveCats), movies: toList(vodCats), series: toList(serCats) };
+    }
+
+    /**
+     * Streams of one category, tagged with their data category for chunk storage
+     * Live categories also yield 'catchup' copies of archive channels.
+     * @param {string} kind - 'channels' | 'movies' | 'series'
+     * @param {Object} category - { id, name }
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array<Object>>}
+     */
+    async fetchCategory(kind, category, signal = null) {
+        const params = { category_id: category.id };
+        const items = [];
+
+        if (kind === 'channels') {
+            const liveFormat = this.outputFormat();
+            const streams = await this.fetchJson('get_live_streams', params, signal);
+            (Array.isArray(streams) ? streams : []).forEach(stream => {
+                const channelItem = this.mapLiveStream(stream, category.name, liveFormat);
+                items.push({ ...channelItem, category: 'channels' });
+                if (stream.tv_archive == 1) items.push({ ...channelItem, category: 'catchup' });
+            });
+        } else if (kind === 'movies') {
+            const streams = await this.fetchJson('get_vod_streams', params, signal);
+            (Array.isArray(streams) ? streams : []).forEach(stream => {
+                items.push({ ...this.mapVodStream(stream, category.name), category: 'movies' });
+            });
+        } else if (kind === 'series') {
+            const list = await this.fetchJson('get_series', params, signal);
+            (Array.isArray(list) ? list : []).forEach(series => {
+                items.push({ ...this.mapSeries(series, category.name), category: 'series' });
+            });
+        }
+
+        return items;
+    }
+
+    // --- Item Mapping ---
+
+    mapLiveStream(stream, catName, liveFormat) {
+        const processed = NameProcessor.process(stream.name);
+        const channelItem = {
+            title: processed.title,
+            rawTitle: stream.name, // Keep original just in case
+            badges: processed.badges || [],
+            logo: stream.stream_icon,
+            group: catName,
+            url: this.liveUrl(stream.stream_id, liveFormat),
+            id: stream.stream_id,
+            epg_id: stream.epg_channel_id,
+            tv_archive: stream.tv_archive,
+            tv_archive_duration: stream.tv_archive_duration
+        };
+
+        if (stream.tv_archive == 1 && !channelItem.badges.includes('CATCHUP')) channelItem.badges.push('CATCHUP');
+        return channelItem;
+    }
+
+    mapVodStream(stream, catName) {
+        const ext = stream.container_extension || 'mp4';
+        const processed = NameProcessor.process(stream.name);
+        return {
+            title: processed.title,
+            rawTitle: stream.name,
+            badges: processed.badges,
+            logo: stream.stream_icon,
+            group: catName,
+            url: `${this.baseUrl}/movie/${this.username}/${this.password}/${stream.stream_id}.${ext}`,
+            id: stream.stream_id,
+            rating: stream.rating,
+            releaseDate: stream.releaseDate || stream.release_date || null
+        };
+    }
+
+    mapSeries(series, catName) {
+        const processed = NameProcessor.process(series.name);
+        return {
+            title: processed.title,
+            rawTitle: series.name,
+            badges: processed.badges,
+            logo: series.cover,
+            group: catName,
+            id: series.series_id,
+            isSeries: true, // Marker for UI to handle click differently
+            rating: series.rating,
+            releaseDate: series.releaseDate || series.release_date || series.last_modified || null
+            // No direct URL for series
+        };
+    }
+
     async getVodInfo(vodId) {
         return this.fetchJson('get_vod_info', { vod_id: vodId });
     }
@@ -219,6 +501,10 @@ class XtreamClient {
         return this.fetchJson('get_simple_data_table', { stream_id: streamId, limit: limit });
     }
 
+    getXmltvUrl() {
+        return `${this.baseUrl}/xmltv.php?username=${this.username}&password=${this.password}`;
+    }
+
     mapCategories(cats) {
         const map = {};
         if (Array.isArray(cats)) {
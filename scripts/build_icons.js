@@ -23,7 +23,16 @@ const USED_ICONS = [
     'refresh-cw',
     'trash-2',
     'folder',
-    'x-circle'
+    'x-circle',
+    'home',
+    'info',
+    'calendar',
+    'alert-circle',
+    'list-filter',
+    'arrow-up',
+    'arrow-down',
+    'activity',
+    'download'
 ];
 
 const ICONS_DIR = path.join(__dirname, '../node_modules/lucide-static/icons');
@@ -0,0 +1,146 @@
+const http = require('http');
+const { URL } = require('url');
+
+// Local Stalker / Ministra portal for testing the StalkerClient
+// Usage: node scripts/mock-stalker-portal.js [port]
+// Portal URL: http://localhost:8899/c/   MAC: 00:1A:79:00:00:01
+
+const PORT = parseInt(process.argv[2], 10) || 8899;
+const VALID_MAC = '00:1A:79:00:00:01';
+const BLOCKED_MAC = '00:1A:79:00:00:FF';
+const TOKEN = 'MOCKTOKEN0123456789';
+const PAGE_SIZE = 2;
+
+const GENRES = [
+    { id: '*', title: 'All' },
+    { id: '1', title: 'News' },
+    { id: '2', title: 'Sports' }
+];
+
+const CHANNELS = [
+    { id: '101', name: 'Mock News HD', number: '1', tv_genre_id: '1', cmd: 'ffmpeg http://localhost/ch/101', logo: '/logos/101.png', xmltv_id: 'mock.news' },
+    { id: '102', name: 'Mock Sports FHD', number: '2', tv_genre_id: '2', cmd: 'ffmpeg http://localhost/ch/102', logo: '', xmltv_id: '' }
+];
+
+const VOD_CATEGORIES = [{ id: '*', title: 'All' }, { id: '10', title: 'Action' }];
+
+const MOVIES = [1, 2, 3, 4, 5].map(n => ({
+    id: String(1000 + n),
+    name: `Mock Movie ${n} (2020)`,
+    cmd: `/media/${1000 + n}.mpg`,
+    screenshot_uri: `/posters/${1000 + n}.jpg`,
+    description: `Plot of movie ${n}`,
+    year: '2020',
+    rating_imdb: '7.1',
+    category_id: '10'
+}));
+
+const SERIES_CATEGORIES = [{ id: '*', title: 'All' }, { id: '20', title: 'Drama' }];
+
+const SERIES = [
+    { id: '2001', name: 'Mock Show', cmd: '', screenshot_uri: '/posters/2001.jpg', description: 'A show', year: '2019', category_id: '20' },
+    // Older portals list episode numbers inline
+    { id: '2002', name: 'Legacy Show', cmd: '/media/2002.mpg', series: [1, 2, 3], screenshot_uri: '', description: '', year: '2015', category_id: '20' }
+];
+
+const SEASONS = {
+    '2001': [
+        { id: '2001:1', name: 'Season 1', cmd: '/media/2001-s1.mpg', series: [1, 2], screenshot_uri: '' },
+        { id: '2001:2', name: 'Season 2', cmd: '/media/2001-s2.mpg', series: [1], screenshot_uri: '' }
+    ]
+};
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const [key, ...rest] = part.trim().split('=');
+        if (key) cookies[key] = decodeURIComponent(rest.join('='));
+    });
+    return cookies;
+}
+
+function paginate(list, page) {
+    const p = Math.max(1, parseInt(page, 10) || 1);
+    return {
+        total_items: list.length,
+        max_page_items: PAGE_SIZE,
+        selected_item: 0,
+        cur_page: p,
+        data: list.slice((p - 1) * PAGE_SIZE, p * PAGE_SIZE)
+    };
+}
+
+function handle(params, mac) {
+    const { type, action } = params;
+
+    if (type === 'stb' && action === 'handshake') return { token: TOKEN };
+    if (type === 'stb' && action === 'get_profile') {
+        return mac === BLOCKED_MAC ? { id: null, blocked: '1', status: 1 } : { id: '1', blocked: '0', status: 0, mac };
+    }
+
+    if (type === 'itv' && action === 'get_genres') return GENRES;
+    if (type === 'itv' && action === 'get_all_channels') return { total_items: CHANNELS.length, data: CHANNELS };
+    if (type === 'itv' && action === 'create_link') return { cmd: `ffmpeg ${params.cmd.replace(/^ffmpeg\s+/, '')}?token=live` };
+    if (type === 'itv' && action === 'get_short_epg') {
+        const now = Math.floor(Date.now() / 1000);
+        return [
+            { name: 'Current Show', descr: 'On now', start_timestamp: now - 600, stop_timestamp: now + 1200 },
+            { name: 'Next Show', descr: '', start_timestamp: now + 1200, stop_timestamp: now + 3000 }
+        ];
+    }
+
+    if (type === 'vod' && action === 'get_categories') return VOD_CATEGORIES;
+    if (type === 'vod' && action === 'get_ordered_list') return paginate(MOVIES.filter(m => m.category_id === params.category), params.p);
+    if (type === 'vod' && action === 'create_link') {
+        return { cmd: `http://localhost/stream${params.cmd}${params.series ? `?episode=${params.series}` : ''}` };
+    }
+
+    if (type === 'series' && action === 'get_categories') return SERIES_CATEGORIES;
+    if (type === 'series' && action === 'get_ordered_list') {
+        if (params.movie_id) return paginate(SEASONS[params.movie_id] || [], 1);
+        return paginate(SERIES.filter(s => s.category_id === params.category), params.p);
+    }
+
+    return null;
+}
+
+const server = http.createServer((req, res) => {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, X-User-Agent, Content-Type',
+        'Content-Type': 'application/json'
+    };
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, headers);
+        res.end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (url.pathname !== '/portal.php' && url.pathname !== '/stalker_portal/server/load.php') {
+        res.writeHead(404, headers);
+        res.end();
+        return;
+    }
+
+    const params = Object.fromEntries(url.searchParams);
+    // Cookie as real portals expect it, or the query parameter browsers can send without a header proxy
+    const mac = parseCookies(req.headers.cookie).mac || params.mac;
+    const isHandshake = params.type === 'stb' && params.action === 'handshake';
+    const authorized = req.headers.authorization === `Bearer ${TOKEN}`;
+
+    if (mac !== VALID_MAC && mac !== BLOCKED_MAC || (!isHandshake && !authorized)) {
+        res.writeHead(200, headers);
+        res.end('Authorization failed.');
+        return;
+    }
+
+    console.log(`${params.type}/${params.action}`);
+    res.writeHead(200, headers);
+    res.end(JSON.stringify({ js: handle(params, mac) }));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock Stalker portal on http://localhost:${PORT}/c/ (MAC ${VALID_MAC})`);
+});